@@ -11,16 +11,114 @@
 // ========================================
 
 let rounds = [];
+// Everyone sharing this storage - each round belongs to one by playerId
+let players = [];
+// Whose handicap, stats and rounds are being shown (see PLAYERS)
+let currentPlayerId = '';
+// Saved courses: one entry per tee set, grouped by course name for display
+let courseLibrary = [];
+// Unlinked rounds grouped by course/tees for the "link rounds" tool
+let unlinkedRoundGroups = [];
+// Index revisions after every score, oldest first (see updateHandicapHistory)
+let handicapHistory = {
+  all: [],
+  regulation: [],
+};
+// Round writes waiting to reach the sheet, oldest first (see SYNC QUEUE)
+let pendingOps = [];
+let syncInProgress = false;
+// Next attempt after the backend had a hiccup
+let syncRetryTimer = null;
+// Which backend rounds and courses are stored in (see STORAGE ADAPTERS)
+let storageSettings = {
+  adapter: 'sheetdb',
+  sheetdbUrl: '',
+  restUrl: '',
+  // Sent with every request to the SheetDB or REST endpoint
+  auth: {
+    type: 'none',
+    token: '',
+    username: '',
+    password: '',
+  },
+};
+// File being imported: its columns, rows and the previewed result
+let importState = {
+  headers: [],
+  records: [],
+  preview: [],
+};
+// What the schema migration changed (see SCHEMA VERSIONS AND MIGRATION)
+let migrationReport = {
+  upgraded: {},
+  broughtForward: null,
+};
+// Pending timer for the next automatic snapshot (see SNAPSHOT BACKUPS)
+let snapshotTimer = null;
+// Page of the rounds table being shown (1-based)
+let roundsTablePage = 1;
+// Id of the round loaded into the form for editing, if any
+let editingRoundId = null;
 let currentSort = {
   column: 'date',
   direction: 'desc',
 };
 
-const SHEETDB_API_URL = 'https://sheetdb.io/api/v1/wshtvyw9sdvff';
+// Used until another endpoint is saved in Storage Settings
+const DEFAULT_SHEETDB_API_URL = 'https://sheetdb.io/api/v1/wshtvyw9sdvff';
 
 const CONFIG = {
+  // Shape of a stored round: 1 = V01, 2 = V02, 3 = V021 before versioning,
+  // 4 = WHS 9-hole scores with scorecard, PCC and revision fields
+  ROUND_SCHEMA_VERSION: 4,
   MAX_RETRIES: 3,
   RETRY_DELAY: 1000,
+  // Queued changes the backend couldn't take are retried with a doubling
+  // delay, never waiting longer than this
+  MAX_SYNC_RETRY_DELAY: 5 * 60 * 1000,
+  STORAGE_KEYS: {
+    ROUNDS: 'golfRounds',
+    PENDING_OPS: 'golfPendingOps',
+    COURSE_LIBRARY: 'golfCourseLibrary',
+    PLAYERS: 'golfPlayers',
+    CURRENT_PLAYER: 'golfCurrentPlayer',
+    // V01/V02 rounds found in this browser, kept until they are brought forward
+    LEGACY_ROUNDS: 'golfLegacyRounds',
+    // Raw sheet rows and when they were fetched, for incremental loading
+    SHEET_CACHE: 'golfSheetCache',
+    STORAGE_SETTINGS: 'golfStorageSettings',
+    // Prefix for the "this browser only" backend, one key per collection
+    LOCAL_STORE_PREFIX: 'golfLocalStore_',
+  },
+  // Course library lives in its own tab of the same Google Sheet
+  COURSE_LIBRARY_SHEET: 'courses',
+  // ...and so do the players sharing the sheet
+  PLAYERS_SHEET: 'players',
+  // Owner of rounds saved before there were several players
+  DEFAULT_PLAYER: {
+    id: 'main',
+    name: 'Player 1',
+  },
+  SHEET_SYNC: {
+    // Rows per SheetDB request
+    PAGE_SIZE: 100,
+    // New rounds sent in one POST when several are queued (e.g. an import)
+    BATCH_SIZE: 50,
+    // Edited rows cost one search per month since the last load, so this
+    // stays at two searches at most. Older caches are thrown away and the
+    // whole sheet is fetched again.
+    MAX_INCREMENTAL_DAYS: 28,
+  },
+  // Rows per page in the rounds table
+  TABLE_PAGE_SIZE: 25,
+  BACKUPS: {
+    DB_NAME: 'golfTrackerBackups',
+    STORE: 'snapshots',
+    // Oldest snapshots are dropped past this many
+    MAX_SNAPSHOTS: 30,
+    // Changes within this window end up in one snapshot
+    DEBOUNCE_MS: 2000,
+  },
   COURSE_TYPES: {
     regulation: 'Regulation',
     executive: 'Executive',
@@ -29,7 +127,155 @@ const CONFIG = {
   },
   HANDICAP_RULES: {
     MIN_ROUNDS_FOR_TREND: 10,
-    USGA_FACTOR: 0.96,
+    MIN_SCORES: 3,
+    MAX_SCORES: 20,
+    MAX_INDEX: 54.0,
+    MAX_NINE_HOLE_RATING: 50,
+  },
+  // Limits on how fast the index can rise above the Low Handicap Index
+  CAPS: {
+    LOOKBACK_DAYS: 365,
+    SOFT_CAP_THRESHOLD: 3.0,
+    SOFT_CAP_FACTOR: 0.5,
+    HARD_CAP: 5.0,
+  },
+  // Handicap allowances for the Playing Handicap by format of play
+  FORMAT_ALLOWANCES: {
+    individualStrokePlay: {
+      label: 'Individual stroke play (95%)',
+      allowance: 0.95,
+    },
+    individualMatchPlay: {
+      label: 'Individual match play (100%)',
+      allowance: 1.0,
+      // Strokes are given from the lowest Playing Handicap
+      matchPlay: true,
+    },
+    fourBallStrokePlay: {
+      label: 'Four-ball stroke play (85%)',
+      allowance: 0.85,
+    },
+    fourBallMatchPlay: {
+      label: 'Four-ball match play (90%)',
+      allowance: 0.9,
+      matchPlay: true,
+    },
+    stableford: { label: 'Individual Stableford (95%)', allowance: 0.95 },
+    fullHandicap: { label: 'Full handicap (100%)', allowance: 1.0 },
+  },
+  // How a round is scored. Points formats use the Playing Handicap at this
+  // allowance to decide where handicap strokes fall.
+  SCORING_FORMATS: {
+    strokePlay: { label: 'Stroke Play' },
+    stableford: { label: 'Stableford', allowance: 0.95 },
+    modifiedStableford: { label: 'Modified Stableford', allowance: 0.95 },
+    parBogey: { label: 'Par/Bogey', allowance: 0.95 },
+  },
+  // Net score relative to par -> points; anything better or worse than the
+  // ends of the table scores the same as the end
+  MODIFIED_STABLEFORD_POINTS: {
+    '-3': 8,
+    '-2': 5,
+    '-1': 2,
+    0: 0,
+    1: -1,
+    2: -3,
+  },
+  STROKES_GAINED: {
+    // Shots from this close (yards, off the green) are around the green
+    AROUND_GREEN_YARDS: 30,
+    // Rounds in the rolling average
+    ROLLING_ROUNDS: 5,
+    // A tour player's expected 18-hole score, and how far above their
+    // handicap amateurs usually score - used to stretch the tour baseline
+    TOUR_ROUND_STROKES: 71,
+    SCORE_OVER_HANDICAP: 2,
+    BENCHMARKS: {
+      tour: { label: 'Tour player', handicap: null },
+      scratch: { label: 'Scratch golfer', handicap: 0 },
+      hcp10: { label: '10 handicap', handicap: 10 },
+      hcp20: { label: '20 handicap', handicap: 20 },
+      hcp30: { label: '30 handicap', handicap: 30 },
+    },
+  },
+  // Players in one group match setup
+  MATCH: {
+    MIN_PLAYERS: 2,
+    MAX_PLAYERS: 4,
+  },
+  // Exceptional Score Reduction: differential this far below the index
+  ESR: {
+    THRESHOLD: 7.0,
+    REDUCTION: 1,
+    LARGE_THRESHOLD: 10.0,
+    LARGE_REDUCTION: 2,
+  },
+  // Playing Conditions Calculation: same course, same day
+  PCC: {
+    MIN_SCORES: 8,
+    // Players typically score about this far above their index
+    EXPECTED_OVER_INDEX: 3.0,
+    MIN: -1,
+    MAX: 3,
+  },
+  // Round fields offered in the merge view when two devices edit the same
+  // round. The differential is left out - it is recalculated from the result.
+  MERGE_FIELDS: {
+    playerId: 'Player',
+    date: 'Date',
+    course: 'Course',
+    tees: 'Tees',
+    courseType: 'Course Type',
+    includeInHandicap: 'Include in Handicap',
+    scoringFormat: 'Scoring Format',
+    holes: 'Holes',
+    score: 'Score',
+    par: 'Par',
+    adjScore: 'Adjusted Score',
+    rating: 'Course Rating',
+    slope: 'Slope',
+    pcc: 'PCC',
+    courseHandicap: 'Course Handicap',
+    scorecard: 'Scorecard',
+    shots: 'Shots',
+    teeSetId: 'Course Library Link',
+  },
+  // Picked as one choice in the merge view - score, par and adjusted score
+  // are worked out from the scorecard, so they can't come from two devices
+  MERGE_GROUPS: {
+    scorecard: {
+      label: 'Score and Scorecard',
+      fields: [
+        'holes',
+        'score',
+        'par',
+        'adjScore',
+        'courseHandicap',
+        'scorecard',
+      ],
+    },
+  },
+  // WHS lookup: number of scores in the record -> how many of the lowest
+  // differentials to average, plus any adjustment applied to that average
+  WHS_TABLE: {
+    3: { use: 1, adjustment: -2.0 },
+    4: { use: 1, adjustment: -1.0 },
+    5: { use: 1, adjustment: 0 },
+    6: { use: 2, adjustment: -1.0 },
+    7: { use: 2, adjustment: 0 },
+    8: { use: 2, adjustment: 0 },
+    9: { use: 3, adjustment: 0 },
+    10: { use: 3, adjustment: 0 },
+    11: { use: 3, adjustment: 0 },
+    12: { use: 4, adjustment: 0 },
+    13: { use: 4, adjustment: 0 },
+    14: { use: 4, adjustment: 0 },
+    15: { use: 5, adjustment: 0 },
+    16: { use: 5, adjustment: 0 },
+    17: { use: 6, adjustment: 0 },
+    18: { use: 6, adjustment: 0 },
+    19: { use: 7, adjustment: 0 },
+    20: { use: 8, adjustment: 0 },
   },
 };
 
@@ -42,10 +288,42 @@ let cachedElements = {};
 document.addEventListener('DOMContentLoaded', async function () {
   cacheElements();
   document.getElementById('date').valueAsDate = new Date();
+  populateFormatOptions(document.getElementById('calcFormat'));
+  populateFormatOptions(document.getElementById('matchFormat'));
+  populateScoringFormatOptions(cachedElements.scoringFormatSelect);
+  populateBenchmarkOptions(document.getElementById('sgBenchmark'));
+
+  // Course handicap on the scorecard depends on rating and slope too
+  [cachedElements.ratingInput, cachedElements.slopeInput].forEach((input) =>
+    input.addEventListener('input', updateScorecardTotals)
+  );
+
+  // Replay queued writes whenever the connection comes back
+  window.addEventListener('online', processSyncQueue);
+
+  loadStorageSettings();
+  renderStorageSettings();
 
   try {
+    loadPendingOps();
+    stashLegacyBrowserRounds();
     await loadRounds();
+
+    // Rounds first - the tee sets and players from last time will do until
+    // their own (often missing) sheet tabs have answered
+    courseLibrary = readCachedList(CONFIG.STORAGE_KEYS.COURSE_LIBRARY);
+    sortCourseLibrary();
+    players = readCachedList(CONFIG.STORAGE_KEYS.PLAYERS);
+    settlePlayers();
+    updateDisplay();
+
+    await loadCourseLibrary();
+    await loadPlayers();
     updateDisplay();
+    processSyncQueue();
+    renderBackupsList().catch((error) =>
+      console.log('Could not list backups', error)
+    );
   } catch (error) {
     console.error('Initialization error:', error);
     updateDisplay();
@@ -69,6 +347,14 @@ function cacheElements() {
     slopeInput: document.getElementById('slope'),
     courseTypeSelect: document.getElementById('courseType'),
     includeHandicapSelect: document.getElementById('includeInHandicap'),
+    roundTeeSetSelect: document.getElementById('roundTeeSet'),
+    entryModeSelect: document.getElementById('entryMode'),
+    scoringFormatSelect: document.getElementById('scoringFormat'),
+    pccSelect: document.getElementById('pcc'),
+    scorecardSection: document.getElementById('scorecardSection'),
+    addRoundButton: document.getElementById('addRoundBtn'),
+    cancelEditButton: document.getElementById('cancelEditBtn'),
+    formHeading: document.getElementById('roundFormHeading'),
 
     // Display elements
     handicapDisplay: document.getElementById('handicapDisplay'),
@@ -77,6 +363,11 @@ function cacheElements() {
       'regulationHandicapDisplay'
     ),
     regulationRoundsUsed: document.getElementById('regulationRoundsUsed'),
+    handicapCapInfo: document.getElementById('handicapCapInfo'),
+    regulationCapInfo: document.getElementById('regulationCapInfo'),
+    handicapEsrInfo: document.getElementById('handicapEsrInfo'),
+    regulationEsrInfo: document.getElementById('regulationEsrInfo'),
+    syncStatus: document.getElementById('syncStatus'),
     roundsBody: document.getElementById('roundsBody'),
 
     // Stats elements
@@ -88,19 +379,41 @@ function cacheElements() {
     regulationAvgScore: document.getElementById('regulationAvgScore'),
     regulationBestScore: document.getElementById('regulationBestScore'),
     regulationRecentTrend: document.getElementById('regulationRecentTrend'),
+    pointsRounds: document.getElementById('pointsRounds'),
+    avgStablefordPoints: document.getElementById('avgStablefordPoints'),
+    bestStablefordPoints: document.getElementById('bestStablefordPoints'),
+    bestModifiedStablefordPoints: document.getElementById(
+      'bestModifiedStablefordPoints'
+    ),
+    bestParBogeyResult: document.getElementById('bestParBogeyResult'),
   };
 }
 
 function validateInputs() {
-  const date = cachedElements.dateInput.value.trim();
-  const course = cachedElements.courseInput.value.trim();
-  const tees = cachedElements.teesInput.value.trim(); // NEW: Validate tees
-  const holes = parseInt(cachedElements.holesSelect.value);
-  const score = parseInt(cachedElements.scoreInput.value);
-  const par = parseInt(cachedElements.parInput.value);
-  const rating = parseFloat(cachedElements.ratingInput.value);
-  const slope = parseInt(cachedElements.slopeInput.value);
-  const courseType = cachedElements.courseTypeSelect.value;
+  return validateRoundFields({
+    date: cachedElements.dateInput.value,
+    course: cachedElements.courseInput.value,
+    tees: cachedElements.teesInput.value, // NEW: Validate tees
+    holes: cachedElements.holesSelect.value,
+    score: cachedElements.scoreInput.value,
+    par: cachedElements.parInput.value,
+    rating: cachedElements.ratingInput.value,
+    slope: cachedElements.slopeInput.value,
+    courseType: cachedElements.courseTypeSelect.value,
+  });
+}
+
+// Same rules for the round form and imported rows - values may be strings
+function validateRoundFields(fields) {
+  const date = String(fields.date ?? '').trim();
+  const course = String(fields.course ?? '').trim();
+  const tees = String(fields.tees ?? '').trim();
+  const holes = parseInt(fields.holes);
+  const score = parseInt(fields.score);
+  const par = parseInt(fields.par);
+  const rating = parseFloat(fields.rating);
+  const slope = parseInt(fields.slope);
+  const courseType = fields.courseType;
 
   // UPDATED: Include tees in validation
   if (
@@ -125,12 +438,22 @@ function validateInputs() {
     // NEW: Tees validation
     throw new Error('Tees played must be specified');
   }
-  if (![9, 18].includes(holes)) {
-    throw new Error('Holes must be 9 or 18');
-  }
   if (score <= 0 || score > 200) {
     throw new Error('Score must be between 1 and 200');
   }
+  if (!CONFIG.COURSE_TYPES[courseType]) {
+    throw new Error('Unknown course type');
+  }
+  validateCourseRatings(holes, par, rating, slope);
+
+  return { date, course, tees, holes, score, par, rating, slope, courseType }; // UPDATED: Include tees
+}
+
+// Shared by the round form and the course handicap calculator
+function validateCourseRatings(holes, par, rating, slope) {
+  if (![9, 18].includes(holes)) {
+    throw new Error('Holes must be 9 or 18');
+  }
   if (par <= 0 || par > 100) {
     throw new Error('Par must be between 1 and 100');
   }
@@ -140,8 +463,9 @@ function validateInputs() {
   if (slope < 55 || slope > 155) {
     throw new Error('Slope rating must be between 55 and 155');
   }
-
-  return { date, course, tees, holes, score, par, rating, slope, courseType }; // UPDATED: Include tees
+  if (holes === 9 && rating > CONFIG.HANDICAP_RULES.MAX_NINE_HOLE_RATING) {
+    throw new Error('Use the 9-hole course rating for 9-hole rounds');
+  }
 }
 
 async function retryOperation(operation, maxRetries = CONFIG.MAX_RETRIES) {
@@ -149,7 +473,8 @@ async function retryOperation(operation, maxRetries = CONFIG.MAX_RETRIES) {
     try {
       return await operation();
     } catch (error) {
-      if (attempt === maxRetries) {
+      // Asking again won't change a refusal (or a sheet tab that isn't there)
+      if (attempt === maxRetries || isRefusedRequest(error)) {
         throw error;
       }
       console.warn(
@@ -160,6 +485,8 @@ async function retryOperation(operation, maxRetries = CONFIG.MAX_RETRIES) {
   }
 }
 
+// Alerts only ever show the fixed messages below - raw error text can
+// contain the endpoint URL or credentials
 function showError(error, context = 'Operation') {
   console.error(`${context} failed:`, error);
 
@@ -168,6 +495,21 @@ function showError(error, context = 'Operation') {
       'Please fill in all fields before adding the round.',
     'Tees played must be specified':
       'Please specify which tees you played from.',
+    'Please complete every hole on the scorecard':
+      'Please enter par, stroke index and strokes for every hole.',
+    'Stroke indexes must be unique':
+      'Each hole needs a different stroke index (1-18).',
+    'Please enter rating, slope and par':
+      'Please enter the course rating, slope rating and par.',
+    'Par must be between 1 and 100': 'Par must be between 1 and 100.',
+    'Course rating must be between 1 and 150':
+      'Course rating must be between 1 and 150.',
+    'Slope rating must be between 55 and 155':
+      'Slope rating must be between 55 and 155.',
+    'No handicap index available':
+      'You need at least 3 scores for a handicap index, or enter an index to use.',
+    'Use the 9-hole course rating for 9-hole rounds':
+      'For 9-hole rounds enter the 9-hole course rating and slope from the scorecard (usually around 35).',
     'Failed to save round to sheet':
       'Unable to save your round. Please check your internet connection and try again.',
     'Failed to load rounds from sheet':
@@ -176,6 +518,71 @@ function showError(error, context = 'Operation') {
       'Unable to delete the round. Please try again.',
     'Failed to update round in sheet':
       'Unable to update the round. Please try again.',
+    'Failed to save tee set to library':
+      'Unable to save the tee set. Please check your internet connection and try again.',
+    'Failed to load rounds from storage':
+      'Unable to load your golf rounds from the selected storage.',
+    'Failed to save to storage':
+      'Unable to save to the selected storage. Please try again.',
+    'Failed to update storage':
+      'Unable to update the selected storage. Please try again.',
+    'Failed to delete from storage':
+      'Unable to delete from the selected storage. Please try again.',
+    'Please enter the REST endpoint URL':
+      'Please enter the URL of your REST endpoint.',
+    'Saved on this device only':
+      'Your change is saved on this device, but the storage refused it. Check Storage Settings, then use Sync Now to try again.',
+    'Wait for the sync to finish':
+      'Changes are still syncing. Please try again in a moment.',
+    'Changed on another device':
+      'This round was changed on another device. Please merge the two versions.',
+    'Unknown course type':
+      'Course type must be Regulation, Executive, Par 3 or Practice.',
+    'Date must be YYYY-MM-DD or MM/DD/YYYY':
+      'Dates must look like 2024-06-30 or 6/30/2024.',
+    'Could not read import file':
+      'That file could not be read. Please choose a CSV or JSON file.',
+    'Map every required column before previewing':
+      'Please pick a column for every field marked with *.',
+    'Nothing to import': 'There are no valid new rounds to import.',
+    'The scorecard does not match the score':
+      'The hole-by-hole scorecard must have every hole filled in and add up to the score.',
+    'Fix this round before changing it':
+      'This round has problems listed under Needs Attention. Use Fix to correct it first.',
+    'Backup not found':
+      'That backup no longer exists. Please pick another one.',
+    'Failed to update tee set in library':
+      'Unable to update the tee set. Please try again.',
+    'Failed to delete tee set from library':
+      'Unable to delete the tee set. Please try again.',
+    'That tee set is already in the library':
+      'That course and tee set is already in the library.',
+    'Please enter course, tees, rating, slope and par':
+      'Please enter the course name, tees, rating, slope and par.',
+    'Please enter a player name': 'Please enter a name for the player.',
+    'Putts and penalties must fit within the hole score':
+      'Putts and penalty strokes must be whole numbers that together are no higher than the score on that hole.',
+    'Green in regulation does not match the putts':
+      'A green in regulation means reaching the green in par minus two strokes or fewer (2 on a par 4) - check the putts and GIR on each hole.',
+    'Shots must look like "150 fairway"':
+      'Enter each shot as distance and lie, e.g. "150 fairway" (yards), "12 green" (feet). Lies: tee, fairway, rough, sand, recovery, green.',
+    'Shots must add up to the score on each hole':
+      'The shots on a hole (plus any marked with "p" for a penalty) must add up to the score on that hole.',
+    'Points formats need a hole-by-hole scorecard':
+      'Stableford and par/bogey rounds are scored hole by hole. Please switch Score Entry to the scorecard.',
+    'Pick at least two players for the match':
+      'Please pick at least two players for the match.',
+    'Each player can only be in the match once':
+      'Each player can only be picked once for the match.',
+    'No handicap index for a player':
+      'Every player needs at least 3 scores for a handicap index, or enter an index for them.',
+    'Enter one stroke index per hole':
+      'Enter one stroke index per hole (1-18, each used once), separated by commas.',
+    'There is already a player with that name':
+      'There is already a player with that name.',
+    'Failed to save player':
+      'Unable to save the player. Please check your internet connection and try again.',
+    'Failed to update player': 'Unable to rename the player. Please try again.',
   };
 
   const userMessage =
@@ -188,218 +595,5288 @@ function showError(error, context = 'Operation') {
 // ========================================
 
 async function addRound() {
-  const addButton = document.querySelector('button');
+  if (editingRoundId) {
+    return saveRoundEdits();
+  }
+
+  const addButton =
+    cachedElements.addRoundButton || document.getElementById('addRoundBtn');
   const originalText = addButton.textContent;
   addButton.textContent = 'Adding...';
   addButton.disabled = true;
 
-  try {
-    const inputs = validateInputs();
-    const includeInHandicap =
-      cachedElements.includeHandicapSelect.value === 'true';
+  try {
+    const round = buildRoundFromForm(Date.now().toString());
+
+    // Kept locally first - the sync queue gets it to the sheet when it can
+    rounds.push(round);
+    rounds.sort((a, b) => new Date(b.date) - new Date(a.date));
+    await commitRoundChange('create', round);
+
+    await afterRoundSaved(round);
+
+    updateDisplay();
+    clearForm();
+  } catch (error) {
+    showError(error, 'Adding round');
+  } finally {
+    addButton.textContent = originalText;
+    addButton.disabled = false;
+  }
+}
+
+// Validates the form and works out everything derived from it. Rounds other
+// than the one with this id are used for the player's index and for the
+// same-day PCC, which looks at every player's scores.
+function buildRoundFromForm(roundId) {
+  const inputs = validateInputs();
+  const includeInHandicap =
+    cachedElements.includeHandicapSelect.value === 'true';
+  const otherRounds = rounds.filter((round) => round.id !== roundId);
+  const existing = rounds.find((round) => round.id === roundId);
+  const playerId = existing ? getRoundPlayerId(existing) : currentPlayerId;
+  const scoringFormat = cachedElements.scoringFormatSelect.value;
+
+  if (isPointsFormat(scoringFormat) && !isScorecardMode()) {
+    throw new Error('Points formats need a hole-by-hole scorecard');
+  }
+
+  // Hole-by-hole rounds are capped at net double bogey before use
+  let adjustedGross = inputs.score;
+  let scorecard = null;
+  let courseHandicap = null;
+  let playingHandicap = null;
+  let points = null;
+
+  if (isScorecardMode()) {
+    const handicapResult = calculateHandicap(
+      false,
+      getPlayerRounds(otherRounds, playerId)
+    );
+    if (handicapResult) {
+      courseHandicap = calculateCourseHandicap(
+        handicapResult.handicap,
+        inputs.slope,
+        inputs.rating,
+        inputs.par,
+        inputs.holes
+      );
+    }
+    scorecard = calculateAdjustedHoles(readScorecard(), courseHandicap);
+    adjustedGross = scorecard.reduce((sum, hole) => sum + hole.adjusted, 0);
+
+    if (isPointsFormat(scoringFormat)) {
+      // Without an index yet there are no handicap strokes to give
+      playingHandicap = handicapResult
+        ? calculatePlayingHandicap(
+            handicapResult.handicap,
+            inputs.slope,
+            inputs.rating,
+            inputs.par,
+            inputs.holes,
+            CONFIG.SCORING_FORMATS[scoringFormat].allowance
+          )
+        : 0;
+      points = calculateRoundPoints(scoringFormat, scorecard, playingHandicap);
+    }
+  }
+
+  const pccSelection = cachedElements.pccSelect.value;
+
+  // UPDATED: Include tees in round object
+  const round = {
+    id: roundId,
+    playerId: playerId,
+    date: inputs.date,
+    course: inputs.course,
+    tees: inputs.tees, // NEW: Add tees field
+    courseType: inputs.courseType,
+    includeInHandicap: includeInHandicap,
+    holes: inputs.holes,
+    score: inputs.score,
+    par: inputs.par,
+    // 9-hole rounds keep their own 9-hole differential; calculateHandicap()
+    // pairs them up into 18-hole scores
+    adjScore: adjustedGross,
+    rating: inputs.rating,
+    slope: inputs.slope,
+    pcc: pccSelection === 'auto' ? 0 : parseInt(pccSelection),
+    pccSource: pccSelection === 'auto' ? 'auto' : 'manual',
+    courseHandicap: courseHandicap,
+    scorecard: scorecard,
+    shots: keepRecordedShots(existing, scorecard),
+    scoringFormat: scoringFormat,
+    playingHandicap: playingHandicap,
+    points: points,
+    teeSetId: getLinkedTeeSetId(inputs),
+    schemaVersion: CONFIG.ROUND_SCHEMA_VERSION,
+    // Bumped by the sync queue - edits start from the stored revision
+    revision: existing ? existing.revision : 0,
+    updatedAt: existing ? existing.updatedAt : '',
+  };
+
+  if (round.pccSource === 'auto') {
+    round.pcc =
+      calculatePCC([...otherRounds, round], round.course, round.date) ?? 0;
+  }
+  round.differential = calculateRoundDifferential(round);
+
+  return round;
+}
+
+// Recorded shots survive an edit on holes whose score didn't change
+function keepRecordedShots(existing, scorecard) {
+  if (!existing || !existing.shots || !existing.scorecard || !scorecard) {
+    return null;
+  }
+  if (existing.scorecard.length !== scorecard.length) return null;
+
+  const shots = existing.shots.map((holeShots, i) =>
+    holeShots && existing.scorecard[i].strokes === scorecard[i].strokes
+      ? holeShots
+      : null
+  );
+  return shots.some(Boolean) ? shots : null;
+}
+
+// Follow-up saves once a new or edited round is stored
+async function afterRoundSaved(round) {
+  if (round.pccSource === 'auto') {
+    await applyAutomaticPCC(round.course, round.date, round.pcc);
+  }
+  if (round.scorecard && round.teeSetId) {
+    await rememberHoleLayout(round.teeSetId, round.scorecard);
+  }
+}
+
+// ========================================
+// EDIT ROUND
+// ========================================
+
+function editRound(roundId) {
+  const round = rounds.find((r) => r.id === roundId);
+  if (!round) return;
+
+  editingRoundId = roundId;
+
+  cachedElements.dateInput.value = round.date;
+  cachedElements.courseInput.value = round.course || '';
+  cachedElements.teesInput.value = round.tees || '';
+  cachedElements.holesSelect.value = round.holes || '';
+  cachedElements.scoreInput.value = round.score || '';
+  cachedElements.parInput.value = round.par || '';
+  cachedElements.ratingInput.value = round.rating || '';
+  cachedElements.slopeInput.value = round.slope || '';
+  cachedElements.courseTypeSelect.value = round.courseType || 'regulation';
+  cachedElements.includeHandicapSelect.value = String(round.includeInHandicap);
+  cachedElements.pccSelect.value =
+    round.pccSource === 'manual' ? String(round.pcc) : 'auto';
+  cachedElements.roundTeeSetSelect.value = getTeeSet(round.teeSetId)
+    ? round.teeSetId
+    : '';
+  cachedElements.entryModeSelect.value = round.scorecard ? 'holes' : 'total';
+  cachedElements.scoringFormatSelect.value =
+    round.scoringFormat || 'strokePlay';
+  toggleScorecardMode();
+
+  if (round.scorecard) {
+    fillScorecard(round.scorecard);
+  }
+
+  cachedElements.addRoundButton.textContent = 'Save Changes';
+  cachedElements.cancelEditButton.style.display = 'inline-block';
+  cachedElements.formHeading.textContent = 'Edit Round';
+  cachedElements.formHeading.scrollIntoView({ behavior: 'smooth' });
+}
+
+function fillScorecard(scorecard) {
+  const fields = {
+    'sc-par': 'par',
+    'sc-si': 'strokeIndex',
+    'sc-strokes': 'strokes',
+  };
+
+  const detailFields = {
+    'sc-putts': 'putts',
+    'sc-penalties': 'penalties',
+  };
+  const choiceFields = {
+    'sc-fairway': 'fairwayHit',
+    'sc-gir': 'gir',
+    'sc-sand': 'sandSave',
+  };
+
+  Object.entries(fields).forEach(([className, field]) => {
+    document
+      .querySelectorAll(`#scorecardSection .${className}`)
+      .forEach((input, i) => {
+        if (scorecard[i]) input.value = scorecard[i][field];
+      });
+  });
+  Object.entries(detailFields).forEach(([className, field]) => {
+    document
+      .querySelectorAll(`#scorecardSection .${className}`)
+      .forEach((input, i) => {
+        if (scorecard[i]) input.value = scorecard[i][field] ?? '';
+      });
+  });
+  Object.entries(choiceFields).forEach(([className, field]) => {
+    document
+      .querySelectorAll(`#scorecardSection .${className}`)
+      .forEach((select, i) => {
+        const value = scorecard[i] ? scorecard[i][field] : null;
+        select.value = value === true ? 'yes' : value === false ? 'no' : '';
+      });
+  });
+
+  updateScorecardTotals();
+}
+
+async function saveRoundEdits() {
+  const saveButton = cachedElements.addRoundButton;
+  saveButton.textContent = 'Saving...';
+  saveButton.disabled = true;
+
+  const index = rounds.findIndex((round) => round.id === editingRoundId);
+  const original = rounds[index];
+
+  try {
+    if (!original) {
+      cancelEdit();
+      return;
+    }
+
+    const updated = buildRoundFromForm(original.id);
+
+    // Show the change straight away, put the old copy back if the sheet
+    // refuses it
+    rounds[index] = updated;
+    rounds.sort((a, b) => new Date(b.date) - new Date(a.date));
+    updateDisplay();
+
+    await commitRoundChange('update', updated, () => {
+      rounds[rounds.indexOf(updated)] = original;
+      rounds.sort((a, b) => new Date(b.date) - new Date(a.date));
+    });
+
+    await afterRoundSaved(updated);
+
+    cancelEdit();
+    updateDisplay();
+  } catch (error) {
+    showError(error, 'Updating round');
+  } finally {
+    saveButton.disabled = false;
+    if (editingRoundId) saveButton.textContent = 'Save Changes';
+  }
+}
+
+function cancelEdit() {
+  editingRoundId = null;
+
+  cachedElements.addRoundButton.textContent = 'Add Round';
+  cachedElements.cancelEditButton.style.display = 'none';
+  cachedElements.formHeading.textContent = 'Add New Round';
+  cachedElements.dateInput.valueAsDate = new Date();
+  clearForm();
+}
+
+async function deleteRound(id) {
+  if (confirm('Are you sure you want to delete this round?')) {
+    try {
+      const round = rounds.find((r) => r.id === id);
+      if (!round) return;
+
+      rounds = rounds.filter((r) => r.id !== id);
+      if (editingRoundId === id) cancelEdit();
+      updateDisplay();
+
+      await commitRoundChange('delete', round);
+    } catch (error) {
+      showError(error, 'Deleting round');
+    }
+  }
+}
+
+// ========================================
+// SHEETDB API FUNCTIONS
+// ========================================
+
+// Keeps the HTTP status so the sync queue can tell a refusal from a hiccup
+function responseError(message, response) {
+  const error = new Error(message);
+  error.status = response.status;
+  return error;
+}
+
+async function saveRoundToSheet(round) {
+  return saveRoundsToSheet([round]);
+}
+
+// SheetDB takes several rows in one POST - used when many rounds are queued
+async function saveRoundsToSheet(roundList) {
+  const response = await fetch(getSheetDbUrl(), {
+    method: 'POST',
+    headers: getRequestHeaders({
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+    }),
+    body: JSON.stringify({
+      data: roundList.map(serializeRoundForSheet),
+    }),
+  });
+
+  if (!response.ok) {
+    throw responseError('Failed to save round to sheet', response);
+  }
+
+  return response.json();
+}
+
+// Only fetches what changed since the last load: new rounds are always
+// appended to the sheet, so they are the rows past the cached ones, and
+// edited rows are found by the date in their updatedAt column. If the row
+// count doesn't add up (a round was deleted elsewhere) or the cache is too
+// old, the whole sheet is fetched again page by page.
+async function loadRoundsFromSheet() {
+  const syncStartedAt = new Date().toISOString();
+  const cache = readSheetCache();
+  let rows = null;
+
+  if (cache) {
+    const rowCount = await fetchSheetRowCount();
+    if (rowCount >= cache.rows.length) {
+      const added = await fetchSheetRows(cache.rows.length, rowCount);
+      const changed = await fetchSheetRowsUpdatedSince(cache.lastSyncedAt);
+      rows = mergeSheetRows([...cache.rows, ...added], changed);
+      if (rows.length !== rowCount) rows = null;
+    }
+  }
+
+  if (!rows) {
+    rows = await fetchSheetRows(0);
+  }
+  saveSheetCache(rows, syncStartedAt);
+
+  if (rows.length === 0) {
+    console.log('No rounds found in Google Sheet');
+    return [];
+  }
+
+  return rows.map(normalizeLoadedRound);
+}
+
+// Pages through the sheet from `offset` until a short page comes back
+async function fetchSheetRows(offset, expectedCount = Infinity) {
+  const pageSize = CONFIG.SHEET_SYNC.PAGE_SIZE;
+  const rows = [];
+
+  while (offset + rows.length < expectedCount) {
+    const response = await fetch(
+      `${getSheetDbUrl()}?limit=${pageSize}&offset=${offset + rows.length}`,
+      { headers: getRequestHeaders() }
+    );
+    if (!response.ok) {
+      throw responseError('Failed to load rounds from sheet', response);
+    }
+
+    const page = await response.json();
+    rows.push(...page);
+    if (page.length < pageSize) break;
+  }
+
+  return rows;
+}
+
+async function fetchSheetRowCount() {
+  const response = await fetch(`${getSheetDbUrl()}/count`, {
+    headers: getRequestHeaders(),
+  });
+  if (!response.ok) {
+    throw responseError('Failed to load rounds from sheet', response);
+  }
+
+  const data = await response.json();
+  return parseInt(data.rows) || 0;
+}
+
+// SheetDB search can't compare dates, so ask for each (UTC) month since the
+// last sync with a wildcard on the rest of the timestamp. Rows edited earlier
+// in the month come back too - merging them again changes nothing.
+async function fetchSheetRowsUpdatedSince(isoTime) {
+  const rows = [];
+  const month = new Date(`${isoTime.slice(0, 7)}-01T00:00:00Z`);
+  const thisMonth = new Date().toISOString().slice(0, 7);
+
+  while (month.toISOString().slice(0, 7) <= thisMonth) {
+    const prefix = month.toISOString().slice(0, 7);
+    const response = await fetch(
+      `${getSheetDbUrl()}/search?updatedAt=${encodeURIComponent(`${prefix}*`)}`,
+      { headers: getRequestHeaders() }
+    );
+    if (!response.ok) {
+      throw responseError('Failed to load rounds from sheet', response);
+    }
+
+    rows.push(...(await response.json()));
+    month.setUTCMonth(month.getUTCMonth() + 1);
+  }
+
+  return rows;
+}
+
+// Replaces cached rows with their changed versions, adding any not cached
+function mergeSheetRows(cachedRows, changedRows) {
+  const merged = [...cachedRows];
+
+  changedRows.forEach((row) => {
+    const index = merged.findIndex((cached) => cached.id === row.id);
+    if (index === -1) {
+      merged.push(row);
+    } else {
+      merged[index] = row;
+    }
+  });
+
+  return merged;
+}
+
+// Cached rows are kept raw so migration and validation run on every load
+function readSheetCache() {
+  try {
+    const cache = JSON.parse(
+      localStorage.getItem(CONFIG.STORAGE_KEYS.SHEET_CACHE)
+    );
+    if (!cache || cache.url !== getSheetDbUrl()) return null;
+    if (
+      daysBetween(cache.lastSyncedAt, new Date().toISOString()) >
+      CONFIG.SHEET_SYNC.MAX_INCREMENTAL_DAYS
+    ) {
+      return null;
+    }
+
+    return cache;
+  } catch (error) {
+    console.log('Could not read sheet cache', error);
+    return null;
+  }
+}
+
+function saveSheetCache(rows, lastSyncedAt) {
+  try {
+    localStorage.setItem(
+      CONFIG.STORAGE_KEYS.SHEET_CACHE,
+      JSON.stringify({
+        url: getSheetDbUrl(),
+        lastSyncedAt: lastSyncedAt,
+        rows: rows,
+      })
+    );
+  } catch (error) {
+    console.log('Could not save sheet cache', error);
+  }
+}
+
+// Keeps the cached row count in step with our own deletes
+function removeFromSheetCache(id) {
+  const cache = readSheetCache();
+  if (!cache) return;
+
+  saveSheetCache(
+    cache.rows.filter((row) => String(row.id) !== String(id)),
+    cache.lastSyncedAt
+  );
+}
+
+async function reloadAllRounds() {
+  localStorage.removeItem(CONFIG.STORAGE_KEYS.SHEET_CACHE);
+  await loadRounds();
+  updateDisplay();
+}
+
+// Brings a stored row up to the current schema and notes what changed
+function normalizeLoadedRound(round) {
+  const result = migrateRound(round);
+  if (result.changes.length > 0) {
+    recordRoundMigration(result);
+  }
+
+  // Checked before coercion, which would turn bad values into zeros
+  const problems = findRoundProblems(result.round);
+  const converted = coerceRoundFields(result.round);
+  return problems.length > 0 ? { ...converted, problems } : converted;
+}
+
+// Sheets and other backends hand values back as strings - convert them to
+// the shapes the rest of the app expects
+function coerceRoundFields(round) {
+  // UPDATED: Include tees in data conversion
+  return {
+    ...round,
+    id: String(round.id),
+    // Rows saved before there were several players belong to the default one
+    playerId: round.playerId
+      ? String(round.playerId)
+      : CONFIG.DEFAULT_PLAYER.id,
+    holes: parseInt(round.holes) || 0,
+    score: parseInt(round.score) || 0,
+    par: parseInt(round.par) || 0,
+    adjScore: parseInt(round.adjScore) || 0,
+    rating: parseFloat(round.rating) || 0,
+    slope: parseInt(round.slope) || 0,
+    differential: parseFloat(round.differential) || 0,
+    courseType: round.courseType || 'regulation',
+    // Sheets send "false" as text, JSON backends as a real boolean
+    includeInHandicap: String(round.includeInHandicap) !== 'false',
+    tees: round.tees || '', // NEW: Handle tees field with fallback
+    courseHandicap: parseNullableInt(round.courseHandicap),
+    scorecard: parseJsonArray(round.scorecard),
+    shots: parseJsonArray(round.shots),
+    // Rounds saved before scoring formats were all stroke play
+    scoringFormat: CONFIG.SCORING_FORMATS[round.scoringFormat]
+      ? round.scoringFormat
+      : 'strokePlay',
+    playingHandicap: parseNullableInt(round.playingHandicap),
+    points: parseNullableInt(round.points),
+    pcc: parseInt(round.pcc) || 0,
+    pccSource: round.pccSource || '',
+    teeSetId: round.teeSetId ? String(round.teeSetId) : '',
+    // Rows saved before conflict detection start at revision 0
+    revision: parseInt(round.revision) || 0,
+    updatedAt: round.updatedAt || '',
+    schemaVersion: CONFIG.ROUND_SCHEMA_VERSION,
+  };
+}
+
+// Sheets only hold flat values, so the scorecard travels as a JSON string
+function serializeRoundForSheet(round) {
+  return {
+    ...round,
+    courseHandicap: round.courseHandicap ?? '',
+    playingHandicap: round.playingHandicap ?? '',
+    points: round.points ?? '',
+    scorecard: round.scorecard ? JSON.stringify(round.scorecard) : '',
+    shots: round.shots ? JSON.stringify(round.shots) : '',
+  };
+}
+
+// Blank cells stay blank rather than turning into 0
+function parseNullableInt(value) {
+  return value === '' || value == null ? null : parseInt(value);
+}
+
+function parseJsonArray(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    console.warn('Ignoring unreadable JSON list in sheet', error);
+    return null;
+  }
+}
+
+async function deleteRoundFromSheet(id) {
+  const response = await fetch(`${getSheetDbUrl()}/id/${id}`, {
+    method: 'DELETE',
+    headers: getRequestHeaders(),
+  });
+
+  if (!response.ok) {
+    throw responseError('Failed to delete round from sheet', response);
+  }
+
+  removeFromSheetCache(id);
+  return response.json();
+}
+
+// Course library tee sets live in their own sheet tab
+function getCourseLibraryUrl(path = '') {
+  return `${getSheetDbUrl()}${path}?sheet=${CONFIG.COURSE_LIBRARY_SHEET}`;
+}
+
+async function saveTeeSetToSheet(teeSet) {
+  const response = await fetch(getCourseLibraryUrl(), {
+    method: 'POST',
+    headers: getRequestHeaders({
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+    }),
+    body: JSON.stringify({
+      data: [serializeTeeSetForSheet(teeSet)],
+    }),
+  });
+
+  if (!response.ok) {
+    throw responseError('Failed to save tee set to library', response);
+  }
+
+  return response.json();
+}
+
+async function loadCourseLibraryFromSheet() {
+  const response = await fetch(getCourseLibraryUrl(), {
+    headers: getRequestHeaders(),
+  });
+
+  if (!response.ok) {
+    throw responseError('Failed to load course library', response);
+  }
+
+  const data = await response.json();
+  if (!data || data.length === 0) return [];
+
+  return data.map(normalizeTeeSet);
+}
+
+function normalizeTeeSet(teeSet) {
+  return {
+    id: String(teeSet.id),
+    course: teeSet.course || '',
+    tees: teeSet.tees || '',
+    courseType: teeSet.courseType || 'regulation',
+    holes: parseInt(teeSet.holes) || 18,
+    par: parseInt(teeSet.par) || 0,
+    rating: parseFloat(teeSet.rating) || 0,
+    slope: parseInt(teeSet.slope) || 0,
+    yardage: parseInt(teeSet.yardage) || null,
+    holeLayout: parseJsonArray(teeSet.holeLayout),
+  };
+}
+
+async function updateTeeSetInSheet(teeSet) {
+  const response = await fetch(getCourseLibraryUrl(`/id/${teeSet.id}`), {
+    method: 'PATCH',
+    headers: getRequestHeaders({
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+    }),
+    body: JSON.stringify({
+      data: serializeTeeSetForSheet(teeSet),
+    }),
+  });
+
+  if (!response.ok) {
+    throw responseError('Failed to update tee set in library', response);
+  }
+
+  return response.json();
+}
+
+async function deleteTeeSetFromSheet(id) {
+  const response = await fetch(getCourseLibraryUrl(`/id/${id}`), {
+    method: 'DELETE',
+    headers: getRequestHeaders(),
+  });
+
+  if (!response.ok) {
+    throw responseError('Failed to delete tee set from library', response);
+  }
+
+  return response.json();
+}
+
+function serializeTeeSetForSheet(teeSet) {
+  return {
+    ...teeSet,
+    yardage: teeSet.yardage ?? '',
+    holeLayout: teeSet.holeLayout ? JSON.stringify(teeSet.holeLayout) : '',
+  };
+}
+
+// Players have a tab of their own as well - one row per player
+function getPlayersUrl(path = '') {
+  return `${getSheetDbUrl()}${path}?sheet=${CONFIG.PLAYERS_SHEET}`;
+}
+
+async function savePlayerToSheet(player) {
+  const response = await fetch(getPlayersUrl(), {
+    method: 'POST',
+    headers: getRequestHeaders({
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+    }),
+    body: JSON.stringify({
+      data: [player],
+    }),
+  });
+
+  if (!response.ok) {
+    throw responseError('Failed to save player', response);
+  }
+
+  return response.json();
+}
+
+async function loadPlayersFromSheet() {
+  const response = await fetch(getPlayersUrl(), {
+    headers: getRequestHeaders(),
+  });
+
+  if (!response.ok) {
+    throw responseError('Failed to load players', response);
+  }
+
+  const data = await response.json();
+  if (!data || data.length === 0) return [];
+
+  return data.map(normalizePlayer);
+}
+
+function normalizePlayer(player) {
+  return {
+    id: String(player.id),
+    name: player.name || String(player.id),
+  };
+}
+
+async function updatePlayerInSheet(player) {
+  const response = await fetch(getPlayersUrl(`/id/${player.id}`), {
+    method: 'PATCH',
+    headers: getRequestHeaders({
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+    }),
+    body: JSON.stringify({
+      data: player,
+    }),
+  });
+
+  if (!response.ok) {
+    throw responseError('Failed to update player', response);
+  }
+
+  return response.json();
+}
+
+async function deletePlayerFromSheet(id) {
+  const response = await fetch(getPlayersUrl(`/id/${id}`), {
+    method: 'DELETE',
+    headers: getRequestHeaders(),
+  });
+
+  if (!response.ok) {
+    throw responseError('Failed to delete player', response);
+  }
+
+  return response.json();
+}
+
+// ========================================
+// SCHEMA VERSIONS AND MIGRATION
+// ========================================
+//
+// Each step upgrades a round by one schema version and describes what it
+// changed. Rows are upgraded in memory as they load; "Save Upgraded Rounds"
+// writes them back, and rounds left in this browser by V01/V02 can be
+// brought forward into the current storage.
+
+const SCHEMA_VERSION_LABELS = {
+  1: 'V01',
+  2: 'V02',
+  3: 'V021 (before schema versions)',
+};
+
+const ROUND_MIGRATIONS = [
+  {
+    // V01: numeric ids, every round counted and no course types
+    from: 1,
+    migrate: (round, changes) => {
+      if (typeof round.id === 'number') {
+        changes.push('Numeric id stored as text');
+      }
+      changes.push('Course type set to Regulation');
+      return {
+        ...round,
+        id: String(round.id),
+        courseType: 'regulation',
+        includeInHandicap: true,
+      };
+    },
+  },
+  {
+    // V02: no tees field yet
+    from: 2,
+    migrate: (round, changes) => {
+      changes.push('No tees recorded - edit the round to add them');
+      return { ...round, tees: '' };
+    },
+  },
+  {
+    // Before WHS 9-hole support, 9-hole rounds were stored with a doubled
+    // adjScore; V02 also asked for the 18-hole course rating
+    from: 3,
+    migrate: (round, changes) => {
+      if (parseInt(round.holes) !== 9) return round;
+
+      const scorecard = parseJsonArray(round.scorecard);
+      const nineHoleGross = scorecard
+        ? scorecard.reduce((sum, hole) => sum + hole.adjusted, 0)
+        : parseInt(round.score);
+      let adjScore = parseInt(round.adjScore);
+      let rating = parseFloat(round.rating);
+      const changesBefore = changes.length;
+
+      if (adjScore === nineHoleGross * 2) {
+        adjScore = nineHoleGross;
+        changes.push('9-hole adjusted score no longer doubled');
+      }
+      if (rating > CONFIG.HANDICAP_RULES.MAX_NINE_HOLE_RATING) {
+        const nineHoleRating = Math.round(rating * 5) / 10;
+        changes.push(
+          `18-hole course rating ${rating} halved to ${nineHoleRating} (estimated 9-hole rating)`
+        );
+        rating = nineHoleRating;
+      }
+      if (changes.length === changesBefore) return round;
+
+      const differential = calculateRoundDifferential({
+        adjScore: adjScore,
+        rating: rating,
+        slope: parseInt(round.slope),
+        pcc: parseInt(round.pcc) || 0,
+        holes: 9,
+      });
+      changes.push(
+        `Differential recalculated from ${parseFloat(
+          round.differential
+        ).toFixed(1)} to ${differential.toFixed(1)}`
+      );
+
+      return { ...round, adjScore, rating, differential };
+    },
+  },
+];
+
+// Rows saved since versioning carry schemaVersion; older ones are told
+// apart by the fields each version introduced
+function detectRoundSchemaVersion(round) {
+  if (round.schemaVersion) {
+    return parseInt(round.schemaVersion) || CONFIG.ROUND_SCHEMA_VERSION;
+  }
+  if (
+    typeof round.id === 'number' ||
+    (round.courseType === undefined && round.includeInHandicap === undefined)
+  ) {
+    return 1;
+  }
+  if (round.tees === undefined) return 2;
+  return 3;
+}
+
+function migrateRound(round) {
+  const fromVersion = detectRoundSchemaVersion(round);
+  const changes = [];
+  let migrated = round;
+
+  ROUND_MIGRATIONS.filter((step) => step.from >= fromVersion).forEach(
+    (step) => {
+      migrated = step.migrate(migrated, changes);
+    }
+  );
+
+  return { round: migrated, fromVersion: fromVersion, changes: changes };
+}
+
+// Keyed by id so reloading the same rows doesn't repeat them
+function recordRoundMigration(result) {
+  migrationReport.upgraded[String(result.round.id)] = {
+    date: result.round.date,
+    course: result.round.course,
+    fromVersion: result.fromVersion,
+    changes: result.changes,
+  };
+}
+
+// V01/V02 kept their rounds under the same localStorage key that now holds
+// the offline cache. Move them aside before the first load overwrites them.
+function stashLegacyBrowserRounds() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.ROUNDS));
+    if (
+      !Array.isArray(saved) ||
+      !saved.some((round) => detectRoundSchemaVersion(round) < 3)
+    ) {
+      return;
+    }
+
+    if (!localStorage.getItem(CONFIG.STORAGE_KEYS.LEGACY_ROUNDS)) {
+      localStorage.setItem(
+        CONFIG.STORAGE_KEYS.LEGACY_ROUNDS,
+        JSON.stringify(saved)
+      );
+    }
+    localStorage.removeItem(CONFIG.STORAGE_KEYS.ROUNDS);
+  } catch (error) {
+    console.log('Could not check for rounds from older versions', error);
+  }
+}
+
+function getLegacyBrowserRounds() {
+  try {
+    return (
+      JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.LEGACY_ROUNDS)) || []
+    );
+  } catch (error) {
+    console.log('Could not read rounds from older versions', error);
+    return [];
+  }
+}
+
+// Adds the upgraded V01/V02 rounds as new rounds, skipping any that are
+// already stored (V02 kept a copy of the sheet in the browser)
+async function bringForwardLegacyRounds() {
+  const seenIds = new Set(rounds.map((round) => round.id));
+  const seenKeys = new Set(rounds.map(getRoundDuplicateKey));
+  const report = { added: 0, skipped: 0, changes: [] };
+
+  getLegacyBrowserRounds().forEach((stored) => {
+    const result = migrateRound(stored);
+    // Older versions only ever tracked one golfer - whoever is selected now
+    const round = {
+      ...coerceRoundFields(result.round),
+      playerId: currentPlayerId,
+    };
+    const key = getRoundDuplicateKey(round);
+
+    if (seenIds.has(round.id) || seenKeys.has(key)) {
+      report.skipped++;
+      return;
+    }
+
+    seenIds.add(round.id);
+    seenKeys.add(key);
+    rounds.push(round);
+    enqueueRoundOp('create', round);
+    report.added++;
+    report.changes.push({
+      date: round.date,
+      course: round.course,
+      fromVersion: result.fromVersion,
+      changes: result.changes,
+    });
+  });
+
+  localStorage.removeItem(CONFIG.STORAGE_KEYS.LEGACY_ROUNDS);
+  migrationReport.broughtForward = report;
+
+  rounds.sort((a, b) => new Date(b.date) - new Date(a.date));
+  saveRoundsLocally();
+  updateDisplay();
+  await processSyncQueue();
+}
+
+// Writes the in-memory upgrades back so the stored rows match
+async function saveUpgradedRounds() {
+  Object.keys(migrationReport.upgraded).forEach((roundId) => {
+    // Quarantined rows are saved when they are fixed, not before
+    const round = rounds.find((r) => r.id === roundId);
+    if (round && !isQuarantined(round)) enqueueRoundOp('update', round);
+  });
+  migrationReport.upgraded = {};
+
+  saveRoundsLocally();
+  updateDisplay();
+  await processSyncQueue();
+}
+
+function formatMigrationEntries(entries) {
+  return entries
+    .map(
+      (entry) => `
+        <li>${formatDateForDisplay(entry.date)} ${entry.course} (from ${
+        SCHEMA_VERSION_LABELS[entry.fromVersion]
+      }): ${entry.changes.join('; ')}</li>`
+    )
+    .join('');
+}
+
+function renderMigrationReport() {
+  const container = document.getElementById('migrationReport');
+  if (!container) return;
+
+  const legacyCount = getLegacyBrowserRounds().length;
+  const upgraded = Object.values(migrationReport.upgraded);
+  const broughtForward = migrationReport.broughtForward;
+  const parts = [];
+
+  if (legacyCount > 0) {
+    parts.push(`
+      <p>Found ${legacyCount} round${
+      legacyCount === 1 ? '' : 's'
+    } saved in this browser by an older version of the tracker.</p>
+      <button onclick="bringForwardLegacyRounds()">Bring Forward Browser History</button>`);
+  }
+
+  if (broughtForward) {
+    parts.push(`
+      <p>Brought forward ${broughtForward.added} round${
+      broughtForward.added === 1 ? '' : 's'
+    } (${broughtForward.skipped} already stored):</p>
+      <ul class="migration-list">${formatMigrationEntries(
+        broughtForward.changes
+      )}</ul>`);
+  }
+
+  if (upgraded.length > 0) {
+    parts.push(`
+      <p>${upgraded.length} stored round${
+      upgraded.length === 1 ? ' was' : 's were'
+    } upgraded from an older format when loading:</p>
+      <ul class="migration-list">${formatMigrationEntries(upgraded)}</ul>
+      <button onclick="saveUpgradedRounds()">Save Upgraded Rounds</button>`);
+  }
+
+  container.innerHTML =
+    parts.join('') ||
+    '<p class="scorecard-hint">All rounds are in the current format.</p>';
+}
+
+// ========================================
+// LOAD VALIDATION AND QUARANTINE
+// ========================================
+//
+// Stored rows are checked as they load, before any value is coerced. A row
+// with problems stays visible but is kept out of the handicap, PCC and
+// stats until it is fixed through the edit form (which saves a clean round).
+
+// Number() rejects trailing junk that parseInt() would quietly drop
+function parseStrictNumber(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return NaN;
+  }
+  return Number(String(value).trim());
+}
+
+function findRoundProblems(round) {
+  const problems = [];
+  const number = (field) => parseStrictNumber(round[field]);
+  const isWhole = (value, min, max) =>
+    Number.isInteger(value) && value >= min && value <= max;
+
+  const date = String(round.date ?? '');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date))) {
+    problems.push(`Date "${date}" is not a valid date`);
+  }
+  if (String(round.course ?? '').trim().length < 2) {
+    problems.push('Course name is missing');
+  }
+  if (!CONFIG.COURSE_TYPES[round.courseType]) {
+    problems.push(`Unknown course type "${round.courseType ?? ''}"`);
+  }
+
+  const holes = number('holes');
+  if (![9, 18].includes(holes)) {
+    problems.push(`Holes "${round.holes ?? ''}" must be 9 or 18`);
+  }
+  if (!isWhole(number('score'), 1, 200)) {
+    problems.push(`Score "${round.score ?? ''}" must be between 1 and 200`);
+  }
+  if (!isWhole(number('adjScore'), 1, 200)) {
+    problems.push(
+      `Adjusted score "${round.adjScore ?? ''}" must be between 1 and 200`
+    );
+  }
+  if (!isWhole(number('par'), 1, 100)) {
+    problems.push(`Par "${round.par ?? ''}" must be between 1 and 100`);
+  }
+
+  const rating = number('rating');
+  const maxRating =
+    holes === 9 ? CONFIG.HANDICAP_RULES.MAX_NINE_HOLE_RATING : 150;
+  if (!(rating > 0 && rating <= maxRating)) {
+    problems.push(
+      `Course rating "${round.rating ?? ''}" must be between 1 and ${maxRating}`
+    );
+  }
+  if (!isWhole(number('slope'), 55, 155)) {
+    problems.push(`Slope "${round.slope ?? ''}" must be between 55 and 155`);
+  }
+
+  // Only worth comparing once everything it is worked out from is sound
+  const differential = number('differential');
+  if (isNaN(differential)) {
+    problems.push(`Differential "${round.differential ?? ''}" is not a number`);
+  } else if (problems.length === 0) {
+    const expected = calculateRoundDifferential({
+      adjScore: number('adjScore'),
+      rating: rating,
+      slope: number('slope'),
+      pcc: parseInt(round.pcc) || 0,
+      holes: holes,
+    });
+    if (Math.abs(expected - differential) > 0.05) {
+      problems.push(
+        `Differential ${differential} does not match the score, rating and slope (expected ${expected.toFixed(
+          2
+        )})`
+      );
+    }
+  }
+
+  return problems;
+}
+
+function isQuarantined(round) {
+  return Boolean(round.problems && round.problems.length > 0);
+}
+
+// The one check every handicap, PCC and stats calculation goes through
+function countsTowardHandicap(round) {
+  return round.includeInHandicap && !isQuarantined(round);
+}
+
+function renderNeedsAttention() {
+  const container = document.getElementById('needsAttention');
+  if (!container) return;
+
+  const quarantined = getPlayerRounds().filter(isQuarantined);
+  if (quarantined.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = `
+    <h3>Needs Attention</h3>
+    <p>${quarantined.length} stored round${
+    quarantined.length === 1 ? ' has' : 's have'
+  } problems and ${
+    quarantined.length === 1 ? 'is' : 'are'
+  } left out of your handicap until fixed.</p>
+    ${quarantined
+      .map(
+        (round) => `
+        <div class="attention-row">
+          <span><strong>${round.date || '?'} ${
+          round.course || '(no course)'
+        }</strong>: ${round.problems.join('; ')}</span>
+          <button class="edit-btn" onclick="editRound('${
+            round.id
+          }')">Fix</button>
+          <button class="delete-btn" onclick="deleteRound('${
+            round.id
+          }')">Delete</button>
+        </div>`
+      )
+      .join('')}`;
+}
+
+// ========================================
+// STORAGE ADAPTERS
+// ========================================
+//
+// Every backend offers the same collections (rounds, courses), each with
+// list/create/update/remove returning promises. Rounds may also offer
+// createMany, which stores several in one request. The sync queue and the
+// course library only ever talk to getStorageAdapter().
+
+const STORAGE_ADAPTERS = {
+  sheetdb: {
+    label: 'Google Sheets (SheetDB)',
+    create: () => createSheetDbAdapter(),
+  },
+  local: {
+    label: 'This browser only (localStorage)',
+    create: () => createLocalStorageAdapter(),
+  },
+  rest: {
+    label: 'Custom REST endpoint',
+    create: (settings) => createRestAdapter(settings.restUrl),
+  },
+};
+
+function createSheetDbAdapter() {
+  return {
+    rounds: {
+      list: loadRoundsFromSheet,
+      create: saveRoundToSheet,
+      createMany: saveRoundsToSheet,
+      update: updateRoundInSheet,
+      remove: deleteRoundFromSheet,
+    },
+    courses: {
+      list: loadCourseLibraryFromSheet,
+      create: saveTeeSetToSheet,
+      update: updateTeeSetInSheet,
+      remove: deleteTeeSetFromSheet,
+    },
+    players: {
+      list: loadPlayersFromSheet,
+      create: savePlayerToSheet,
+      update: updatePlayerInSheet,
+      remove: deletePlayerFromSheet,
+    },
+  };
+}
+
+function createLocalStorageAdapter() {
+  const collection = (name, normalize) => {
+    const key = `${CONFIG.STORAGE_KEYS.LOCAL_STORE_PREFIX}${name}`;
+    const read = () => JSON.parse(localStorage.getItem(key) || '[]');
+    const write = (records) =>
+      localStorage.setItem(key, JSON.stringify(records));
+
+    return {
+      list: async () => read().map(normalize),
+      create: async (record) => {
+        write([...read().filter((r) => r.id !== record.id), record]);
+        return record;
+      },
+      update: async (record) => {
+        write(read().map((r) => (r.id === record.id ? record : r)));
+        return record;
+      },
+      remove: async (id) => {
+        write(read().filter((r) => r.id !== id));
+        return { deleted: 1 };
+      },
+    };
+  };
+
+  return {
+    rounds: collection('rounds', normalizeLoadedRound),
+    courses: collection('courses', normalizeTeeSet),
+    players: collection('players', normalizePlayer),
+  };
+}
+
+// Expects {baseUrl}/rounds, {baseUrl}/courses and {baseUrl}/players, each supporting
+// GET (list), POST (create), PUT /{id} (update) and DELETE /{id}
+function createRestAdapter(baseUrl) {
+  const collection = (name, normalize, loadError) => {
+    const url = `${baseUrl.replace(/\/+$/, '')}/${name}`;
+    const send = async (method, path, record, errorMessage) => {
+      const response = await fetch(`${url}${path}`, {
+        method: method,
+        headers: getRequestHeaders({
+          Accept: 'application/json',
+          'Content-Type': 'application/json',
+        }),
+        body: record ? JSON.stringify(record) : undefined,
+      });
+
+      if (!response.ok) {
+        throw responseError(errorMessage, response);
+      }
+
+      return response.json();
+    };
+
+    return {
+      list: async () => {
+        const response = await fetch(url, { headers: getRequestHeaders() });
+        if (!response.ok) {
+          throw responseError(loadError, response);
+        }
+
+        const data = await response.json();
+        const records = Array.isArray(data) ? data : data.data || [];
+        return records.map(normalize);
+      },
+      create: (record) => send('POST', '', record, 'Failed to save to storage'),
+      update: (record) =>
+        send(
+          'PUT',
+          `/${encodeURIComponent(record.id)}`,
+          record,
+          'Failed to update storage'
+        ),
+      remove: (id) =>
+        send(
+          'DELETE',
+          `/${encodeURIComponent(id)}`,
+          null,
+          'Failed to delete from storage'
+        ),
+    };
+  };
+
+  return {
+    rounds: collection(
+      'rounds',
+      normalizeLoadedRound,
+      'Failed to load rounds from storage'
+    ),
+    courses: collection(
+      'courses',
+      normalizeTeeSet,
+      'Failed to load course library'
+    ),
+    players: collection('players', normalizePlayer, 'Failed to load players'),
+  };
+}
+
+function getSheetDbUrl() {
+  return storageSettings.sheetdbUrl || DEFAULT_SHEETDB_API_URL;
+}
+
+// "bearer" sends the token as is; "basic" sends username:password base64
+// encoded (UTF-8 first, btoa() only takes Latin-1)
+function getAuthHeaders(auth) {
+  if (auth.type === 'bearer' && auth.token) {
+    return { Authorization: `Bearer ${auth.token}` };
+  }
+  if (auth.type === 'basic' && auth.username) {
+    const credentials = new TextEncoder().encode(
+      `${auth.username}:${auth.password}`
+    );
+    return {
+      Authorization: `Basic ${btoa(String.fromCharCode(...credentials))}`,
+    };
+  }
+  return {};
+}
+
+function getRequestHeaders(headers = {}) {
+  return { ...headers, ...getAuthHeaders(storageSettings.auth) };
+}
+
+function getStorageAdapter() {
+  const adapter =
+    STORAGE_ADAPTERS[storageSettings.adapter] || STORAGE_ADAPTERS.sheetdb;
+  return adapter.create(storageSettings);
+}
+
+function getStorageLabel() {
+  return (STORAGE_ADAPTERS[storageSettings.adapter] || STORAGE_ADAPTERS.sheetdb)
+    .label;
+}
+
+function loadStorageSettings() {
+  try {
+    const saved = JSON.parse(
+      localStorage.getItem(CONFIG.STORAGE_KEYS.STORAGE_SETTINGS)
+    );
+    if (saved && STORAGE_ADAPTERS[saved.adapter]) {
+      storageSettings = {
+        ...storageSettings,
+        ...saved,
+        auth: { ...storageSettings.auth, ...saved.auth },
+      };
+    }
+  } catch (error) {
+    console.log('Could not read storage settings', error);
+  }
+}
+
+function saveStorageSettings() {
+  try {
+    localStorage.setItem(
+      CONFIG.STORAGE_KEYS.STORAGE_SETTINGS,
+      JSON.stringify(storageSettings)
+    );
+  } catch (error) {
+    console.log('Could not save storage settings', error);
+  }
+}
+
+// ========================================
+// STORAGE SETTINGS SCREEN
+// ========================================
+
+function renderStorageSettings() {
+  const select = document.getElementById('storageAdapter');
+  if (!select) return;
+
+  select.innerHTML = Object.entries(STORAGE_ADAPTERS)
+    .map(([key, adapter]) => `<option value="${key}">${adapter.label}</option>`)
+    .join('');
+  select.value = storageSettings.adapter;
+  document.getElementById('sheetdbUrl').value = storageSettings.sheetdbUrl;
+  document.getElementById('sheetdbUrl').placeholder = DEFAULT_SHEETDB_API_URL;
+  document.getElementById('restUrl').value = storageSettings.restUrl;
+  document.getElementById('authType').value = storageSettings.auth.type;
+  document.getElementById('authToken').value = storageSettings.auth.token;
+  document.getElementById('authUsername').value = storageSettings.auth.username;
+  document.getElementById('authPassword').value = storageSettings.auth.password;
+
+  updateStorageSettingsForm();
+}
+
+function updateStorageSettingsForm() {
+  const adapter = document.getElementById('storageAdapter').value;
+  const authType = document.getElementById('authType').value;
+  const show = (id, visible) =>
+    (document.getElementById(id).style.display = visible ? 'flex' : 'none');
+
+  show('sheetdbUrlGroup', adapter === 'sheetdb');
+  show('restUrlGroup', adapter === 'rest');
+  show('authTypeGroup', adapter !== 'local');
+  show('authTokenGroup', adapter !== 'local' && authType === 'bearer');
+  show('authUsernameGroup', adapter !== 'local' && authType === 'basic');
+  show('authPasswordGroup', adapter !== 'local' && authType === 'basic');
+
+  document.getElementById(
+    'storageSettingsInfo'
+  ).textContent = `Currently storing rounds in: ${getStorageLabel()}`;
+}
+
+function readStorageSettingsForm() {
+  const value = (id) => document.getElementById(id).value.trim();
+
+  return {
+    adapter: value('storageAdapter'),
+    sheetdbUrl: value('sheetdbUrl').replace(/\/+$/, ''),
+    restUrl: value('restUrl'),
+    auth: {
+      type: value('authType'),
+      token: value('authToken'),
+      username: value('authUsername'),
+      // Passwords may legitimately start or end with spaces
+      password: document.getElementById('authPassword').value,
+    },
+  };
+}
+
+// Which backend and where - credentials alone don't make it a new one
+function getStorageTarget(settings) {
+  if (settings.adapter === 'sheetdb') {
+    return `sheetdb|${settings.sheetdbUrl || DEFAULT_SHEETDB_API_URL}`;
+  }
+  return `${settings.adapter}|${
+    settings.adapter === 'rest' ? settings.restUrl : ''
+  }`;
+}
+
+async function applyStorageSettings() {
+  const settings = readStorageSettingsForm();
+  const copyData = document.getElementById('copyToNewStorage').value === 'true';
+
+  try {
+    if (settings.adapter === 'rest' && !settings.restUrl) {
+      throw new Error('Please enter the REST endpoint URL');
+    }
+
+    // New credentials for the same endpoint: keep the queue, it may now get
+    // through
+    if (getStorageTarget(settings) === getStorageTarget(storageSettings)) {
+      storageSettings = settings;
+      saveStorageSettings();
+      await loadRounds();
+      await loadCourseLibrary();
+      await loadPlayers();
+      updateDisplay();
+      await processSyncQueue();
+      return;
+    }
+
+    // Queued writes were meant for the old backend. Copied rounds already
+    // include them, so only the old backend misses out.
+    const unsynced = `${
+      pendingOps.length
+    } change(s) have not synced to ${getStorageLabel()} yet`;
+    if (
+      pendingOps.length > 0 &&
+      !confirm(
+        copyData
+          ? `${unsynced}. They will be copied to the new storage with your other rounds, but ${getStorageLabel()} won't get them. Switch?`
+          : `${unsynced} and will be dropped. Switch anyway?`
+      )
+    ) {
+      return;
+    }
+
+    if (syncInProgress) {
+      throw new Error('Wait for the sync to finish');
+    }
+
+    // Switched in memory only until the copy is through, so a failed copy
+    // leaves the old backend, its queue and the cached rounds as they were
+    const previousSettings = storageSettings;
+    storageSettings = settings;
+
+    if (copyData) {
+      // Keeps the old queue from being sent to the new backend meanwhile
+      syncInProgress = true;
+      try {
+        await copyDataToStorage([...rounds], [...courseLibrary], [...players]);
+      } catch (error) {
+        storageSettings = previousSettings;
+        syncInProgress = false;
+        processSyncQueue();
+        throw error;
+      }
+      syncInProgress = false;
+    }
+
+    saveStorageSettings();
+    pendingOps = [];
+    savePendingOps();
+    localStorage.removeItem(CONFIG.STORAGE_KEYS.ROUNDS);
+
+    await loadRounds();
+    await loadCourseLibrary();
+    await loadPlayers();
+    updateDisplay();
+    updateStorageSettingsForm();
+  } catch (error) {
+    showError(error, 'Changing storage');
+  }
+}
+
+// Checks the settings in the form (saved or not) with one small request.
+// Only fixed messages are shown - never the URL or the credentials.
+async function testStorageConnection() {
+  const settings = readStorageSettingsForm();
+  const status = document.getElementById('connectionStatus');
+  status.textContent = 'Testing connection...';
+
+  try {
+    status.textContent = `✅ ${await checkStorageConnection(settings)}`;
+  } catch (error) {
+    console.error('Connection test failed:', error.message);
+    status.textContent = `❌ ${
+      isNetworkError(error)
+        ? 'Could not reach the endpoint - check the URL and your connection'
+        : error.message
+    }`;
+  }
+}
+
+async function checkStorageConnection(settings) {
+  if (settings.adapter === 'local') {
+    return 'Rounds are stored in this browser - nothing to connect to';
+  }
+  if (settings.adapter === 'rest' && !settings.restUrl) {
+    throw new Error('Please enter the REST endpoint URL');
+  }
+
+  const url =
+    settings.adapter === 'sheetdb'
+      ? `${settings.sheetdbUrl || DEFAULT_SHEETDB_API_URL}/count`
+      : `${settings.restUrl.replace(/\/+$/, '')}/rounds`;
+  const response = await fetch(url, { headers: getAuthHeaders(settings.auth) });
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error('The endpoint refused the credentials');
+  }
+  if (!response.ok) {
+    throw new Error(`The endpoint answered with error ${response.status}`);
+  }
+
+  const data = await response.json();
+  const rowCount =
+    settings.adapter === 'sheetdb'
+      ? parseInt(data.rows) || 0
+      : (Array.isArray(data) ? data : data.data || []).length;
+  return `Connected - ${rowCount} round${rowCount === 1 ? '' : 's'} stored`;
+}
+
+// Writes everything the new backend doesn't have yet. Records already there
+// are skipped, so a copy that stopped part way can simply be run again.
+async function copyDataToStorage(roundList, teeSets, playerList) {
+  const adapter = getStorageAdapter();
+  const copyMissing = async (collection, records) => {
+    const stored = await retryOperation(collection.list);
+    const storedIds = stored.map((record) => record.id);
+    for (const record of records) {
+      if (storedIds.includes(record.id)) continue;
+      await retryOperation(() => collection.create(record));
+    }
+  };
+
+  await copyMissing(adapter.courses, teeSets);
+  await copyMissing(adapter.players, playerList);
+  // Load-time problems are worked out again on every load, never stored
+  await copyMissing(
+    adapter.rounds,
+    roundList.map(({ problems, ...round }) => round)
+  );
+}
+
+async function loadRounds() {
+  try {
+    if (cachedElements.handicapDisplay) {
+      cachedElements.handicapDisplay.textContent = 'Loading...';
+    }
+
+    // Local changes that haven't synced yet still win over the backend
+    const adapter = getStorageAdapter();
+    migrationReport.upgraded = {};
+    const remoteRounds = await retryOperation(adapter.rounds.list);
+    detectSyncConflicts(remoteRounds);
+    rounds = applyPendingOps(remoteRounds);
+    rounds.sort((a, b) => new Date(b.date) - new Date(a.date));
+    saveRoundsLocally();
+
+    console.log(
+      'Successfully loaded',
+      rounds.length,
+      'rounds from',
+      getStorageLabel()
+    );
+  } catch (error) {
+    console.error('Error loading rounds:', error);
+    rounds = [];
+
+    try {
+      const savedRounds = localStorage.getItem(CONFIG.STORAGE_KEYS.ROUNDS);
+      if (savedRounds) {
+        rounds = JSON.parse(savedRounds);
+        rounds.sort((a, b) => new Date(b.date) - new Date(a.date));
+        console.log(
+          'Loaded rounds from localStorage backup:',
+          rounds.length,
+          'rounds'
+        );
+      }
+    } catch (localError) {
+      console.log('No local backup available', localError);
+    }
+  }
+}
+
+// ========================================
+// OFFLINE SYNC QUEUE
+// ========================================
+//
+// Every round change is applied to `rounds` and saved to localStorage first,
+// then queued as a create/update/delete for the sheet. The queue survives
+// reloads and is replayed in order whenever we are online.
+//
+// Each write bumps the round's revision. An update or delete queued against
+// revision N is only sent while the stored copy is still at N - if another
+// device got there first (or deleted the round), the op is parked as a
+// conflict for the merge view.
+
+function saveRoundsLocally() {
+  try {
+    localStorage.setItem(CONFIG.STORAGE_KEYS.ROUNDS, JSON.stringify(rounds));
+  } catch (error) {
+    console.log('Could not save rounds to local storage', error);
+  }
+  scheduleSnapshot();
+}
+
+function loadPendingOps() {
+  try {
+    pendingOps =
+      JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.PENDING_OPS)) || [];
+    // Anything that was mid-flight when the page closed gets sent again
+    pendingOps.forEach((op) => (op.inFlight = false));
+  } catch (error) {
+    console.log('Could not read pending sync queue', error);
+    pendingOps = [];
+  }
+}
+
+function savePendingOps() {
+  try {
+    localStorage.setItem(
+      CONFIG.STORAGE_KEYS.PENDING_OPS,
+      JSON.stringify(pendingOps)
+    );
+  } catch (error) {
+    console.log('Could not save pending sync queue', error);
+  }
+}
+
+// Adds a write to the queue, folding it into an earlier unsent write for the
+// same round where possible (e.g. create + update is still just a create)
+function enqueueRoundOp(type, round) {
+  const earlier = pendingOps.find(
+    (op) => op.roundId === round.id && !op.inFlight
+  );
+  // Folded writes keep the revision the first one was based on
+  const baseRevision = earlier ? earlier.baseRevision : round.revision || 0;
+  if (type !== 'delete') {
+    round.revision = baseRevision + 1;
+    round.updatedAt = new Date().toISOString();
+  }
+  const snapshot = type === 'delete' ? null : { ...round };
+
+  if (earlier && earlier.type === 'create' && type === 'delete') {
+    pendingOps = pendingOps.filter((op) => op !== earlier);
+    savePendingOps();
+    return null;
+  }
+
+  if (earlier) {
+    earlier.type = earlier.type === 'create' ? 'create' : type;
+    earlier.round = snapshot;
+    earlier.status = 'pending';
+    earlier.lastError = '';
+    earlier.merged = true;
+    delete earlier.remote;
+    savePendingOps();
+    return earlier;
+  }
+
+  const op = {
+    opId: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type: type,
+    roundId: round.id,
+    round: snapshot,
+    baseRevision: baseRevision,
+    queuedAt: new Date().toISOString(),
+    status: 'pending',
+    lastError: '',
+    merged: false,
+    inFlight: false,
+  };
+  pendingOps.push(op);
+  savePendingOps();
+  return op;
+}
+
+// Load-time problems are worked out again on every load, never stored
+function getStoredRound(op) {
+  const { problems, ...round } = op.round || {};
+  return round;
+}
+
+function sendRoundOp(op) {
+  const adapter = getStorageAdapter();
+  const round = getStoredRound(op);
+
+  switch (op.type) {
+    case 'create':
+      return adapter.rounds.create(round);
+    case 'update':
+      return adapter.rounds.update(round);
+    case 'delete':
+      return adapter.rounds.remove(op.roundId);
+    default:
+      return Promise.resolve();
+  }
+}
+
+// Creates queued right after this one go up in the same request, where the
+// backend can take several rows at once
+function getCreateBatch(op) {
+  if (op.type !== 'create' || !getStorageAdapter().rounds.createMany) {
+    return [op];
+  }
+
+  const batch = [];
+  for (const queued of pendingOps.slice(pendingOps.indexOf(op))) {
+    if (queued.type !== 'create' || queued.status !== 'pending') break;
+    batch.push(queued);
+    if (batch.length === CONFIG.SHEET_SYNC.BATCH_SIZE) break;
+  }
+  return batch;
+}
+
+function sendRoundOps(batch) {
+  if (batch.length === 1) return sendRoundOp(batch[0]);
+  return getStorageAdapter().rounds.createMany(batch.map(getStoredRound));
+}
+
+// fetch() rejects with a TypeError when the request never got a response
+function isNetworkError(error) {
+  return !navigator.onLine || error instanceof TypeError;
+}
+
+// Only a 4xx answer means the backend looked at the request and said no.
+// Timeouts, rate limits and server errors are worth sending again.
+function isRefusedRequest(error) {
+  return (
+    error.status >= 400 &&
+    error.status < 500 &&
+    error.status !== 408 &&
+    error.status !== 429
+  );
+}
+
+function scheduleSyncRetry(attempts) {
+  clearTimeout(syncRetryTimer);
+  const delay = Math.min(
+    CONFIG.RETRY_DELAY * 2 ** attempts,
+    CONFIG.MAX_SYNC_RETRY_DELAY
+  );
+  syncRetryTimer = setTimeout(() => {
+    syncRetryTimer = null;
+    processSyncQueue();
+  }, delay);
+}
+
+async function processSyncQueue() {
+  if (syncInProgress || !navigator.onLine || pendingOps.length === 0) {
+    updateSyncStatus();
+    return;
+  }
+
+  syncInProgress = true;
+  clearTimeout(syncRetryTimer);
+  syncRetryTimer = null;
+  updateSyncStatus();
+
+  try {
+    if (
+      pendingOps.some((op) => op.type !== 'create' && op.status !== 'conflict')
+    ) {
+      try {
+        detectSyncConflicts(
+          await retryOperation(getStorageAdapter().rounds.list)
+        );
+      } catch (error) {
+        // Never overwrite rows we could not check
+        console.log('Could not check for edits from other devices', error);
+        const waiting = pendingOps.find((op) => op.status === 'pending');
+        if (waiting) scheduleSyncRetry((waiting.attempts || 0) + 1);
+        return;
+      }
+    }
+
+    for (const op of [...pendingOps]) {
+      if (!pendingOps.includes(op) || op.status !== 'pending') continue;
+
+      const batch = getCreateBatch(op);
+      batch.forEach((queued) => (queued.inFlight = true));
+      try {
+        await retryOperation(() => sendRoundOps(batch));
+        pendingOps = pendingOps.filter((queued) => !batch.includes(queued));
+      } catch (error) {
+        batch.forEach((queued) => (queued.lastError = error.message));
+
+        if (!isRefusedRequest(error)) {
+          // Offline or a server hiccup - stays queued, later ones wait their turn
+          op.attempts = (op.attempts || 0) + 1;
+          scheduleSyncRetry(op.attempts);
+          break;
+        }
+
+        // The sheet answered but refused - keep it visible until Sync Now
+        batch.forEach((queued) => (queued.status = 'failed'));
+      } finally {
+        batch.forEach((queued) => (queued.inFlight = false));
+        savePendingOps();
+      }
+    }
+  } finally {
+    syncInProgress = false;
+    updateSyncStatus();
+    updateRoundsTable();
+    renderSyncConflicts();
+
+    // Changes made while this run was busy haven't been sent yet
+    if (!syncRetryTimer && pendingOps.some((op) => op.status === 'pending')) {
+      processSyncQueue();
+    }
+  }
+}
+
+// Saves locally, queues the write and tries to sync. Being offline or a
+// server hiccup just leaves it queued. If the sheet refuses it, `rollback`
+// (when given) puts the old copy back; otherwise the change stays queued
+// for Sync Now.
+async function commitRoundChange(type, round, rollback) {
+  saveRoundsLocally();
+  const op = enqueueRoundOp(type, round);
+  updateDisplay();
+
+  await processSyncQueue();
+
+  if (!op || op.status !== 'failed') return;
+
+  // A folded op carries earlier unsent changes too - those must not go
+  if (rollback && !op.merged) {
+    pendingOps = pendingOps.filter((queued) => queued !== op);
+    savePendingOps();
+    rollback();
+    saveRoundsLocally();
+    updateDisplay();
+    throw new Error(op.lastError);
+  }
+
+  showError(new Error('Saved on this device only'), 'Syncing round');
+}
+
+// Replays unsent local changes on top of rounds fresh from the sheet
+function applyPendingOps(remoteRounds) {
+  let merged = [...remoteRounds];
+
+  pendingOps.forEach((op) => {
+    merged = merged.filter((round) => round.id !== op.roundId);
+    if (op.type !== 'delete') merged.push({ ...op.round });
+  });
+
+  return merged;
+}
+
+// Parks queued updates and deletes whose round has moved on since the change
+// was made, and updates to rounds another device deleted. If both devices
+// ended up with the same values there is nothing to merge.
+function detectSyncConflicts(remoteRounds) {
+  pendingOps.forEach((op) => {
+    if (op.type === 'create' || op.inFlight) return;
+
+    const remote = remoteRounds.find((round) => round.id === op.roundId);
+    if (!remote) {
+      if (op.type === 'delete') {
+        // Deleted on both devices
+        pendingOps = pendingOps.filter((queued) => queued !== op);
+      } else if (!pendingOps.some((queued) => isUnsentCreate(queued, op))) {
+        op.status = 'conflict';
+        op.remote = null;
+        op.lastError = 'Deleted on another device';
+      }
+      return;
+    }
+    if (remote.revision <= op.baseRevision) return;
+
+    if (op.type === 'delete') {
+      op.status = 'conflict';
+      op.remote = remote;
+      op.lastError = 'Changed on another device';
+      return;
+    }
+
+    if (getConflictingFields(op.round, remote).length === 0) {
+      pendingOps = pendingOps.filter((queued) => queued !== op);
+      return;
+    }
+
+    op.status = 'conflict';
+    op.remote = remote;
+    op.lastError = 'Changed on another device';
+  });
+
+  savePendingOps();
+}
+
+// The round may simply not have reached the sheet yet
+function isUnsentCreate(queued, op) {
+  return queued.type === 'create' && queued.roundId === op.roundId;
+}
+
+function getConflictingFields(localRound, remoteRound) {
+  return Object.keys(CONFIG.MERGE_FIELDS).filter(
+    (field) =>
+      JSON.stringify(localRound[field] ?? null) !==
+      JSON.stringify(remoteRound[field] ?? null)
+  );
+}
+
+function getRoundSyncState(roundId) {
+  const op = pendingOps.find((queued) => queued.roundId === roundId);
+  return op ? op.status : null;
+}
+
+function syncNow() {
+  // Conflicts stay parked until they are merged
+  pendingOps
+    .filter((op) => op.status === 'failed')
+    .forEach((op) => (op.status = 'pending'));
+  pendingOps.forEach((op) => (op.attempts = 0));
+  savePendingOps();
+  processSyncQueue();
+}
+
+function updateSyncStatus() {
+  const status =
+    cachedElements.syncStatus || document.getElementById('syncStatus');
+  if (!status) return;
+
+  const failed = pendingOps.filter((op) => op.status === 'failed').length;
+  const conflicts = pendingOps.filter((op) => op.status === 'conflict').length;
+  const waiting = pendingOps.length;
+
+  status.classList.toggle('has-pending', waiting > 0);
+  status.classList.toggle('has-failed', failed + conflicts > 0);
+
+  if (waiting === 0) {
+    status.innerHTML = 'All changes synced';
+    return;
+  }
+
+  const state = syncInProgress
+    ? 'syncing...'
+    : !navigator.onLine
+    ? 'offline - will sync when connected'
+    : syncRetryTimer
+    ? 'storage not answering - retrying shortly'
+    : 'waiting to sync';
+  status.innerHTML = `${waiting} change${waiting === 1 ? '' : 's'} ${state}${
+    failed ? ` (${failed} refused by the sheet)` : ''
+  }${
+    conflicts
+      ? ` (${conflicts} changed or deleted on another device - see below)`
+      : ''
+  } <button class="sync-now-btn" onclick="syncNow()">Sync Now</button>`;
+}
+
+// ========================================
+// MERGE VIEW - EDITS FROM TWO DEVICES
+// ========================================
+
+function formatMergeValue(field, value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'scorecard') {
+    return value
+      .map((hole) => (hole.strokes === null ? '-' : hole.strokes))
+      .join(' ');
+  }
+  if (field === 'teeSetId') {
+    const teeSet = getTeeSet(value);
+    return teeSet ? `${teeSet.course} (${teeSet.tees})` : value;
+  }
+  if (field === 'playerId') return getPlayerName(value);
+  if (field === 'scoringFormat') return getScoringFormatDisplay(value);
+  if (field === 'shots') {
+    return `${value.filter(Boolean).length} holes of shots`;
+  }
+  if (field === 'date') return formatDateForDisplay(value);
+  return String(value);
+}
+
+// One row per conflicting field, or per group of fields taken together
+function getMergeRows(localRound, remoteRound) {
+  const rows = [];
+
+  getConflictingFields(localRound, remoteRound).forEach((field) => {
+    const [key, group] = Object.entries(CONFIG.MERGE_GROUPS).find(
+      ([, candidate]) => candidate.fields.includes(field)
+    ) || [field, null];
+
+    const row = rows.find((existing) => existing.key === key);
+    if (row) {
+      row.changed.push(field);
+      return;
+    }
+    rows.push({
+      key: key,
+      label: group ? group.label : CONFIG.MERGE_FIELDS[field],
+      fields: group ? group.fields : [field],
+      changed: [field],
+    });
+  });
+
+  return rows;
+}
+
+function formatMergeRow(row, round) {
+  if (row.fields.length === 1) {
+    return formatMergeValue(row.key, round[row.key]);
+  }
+  return row.changed
+    .map(
+      (field) =>
+        `${CONFIG.MERGE_FIELDS[field]}: ${formatMergeValue(
+          field,
+          round[field]
+        )}`
+    )
+    .join('<br />');
+}
+
+function formatMergeTime(updatedAt) {
+  return updatedAt ? new Date(updatedAt).toLocaleString() : 'unknown time';
+}
+
+function renderSyncConflicts() {
+  const container = document.getElementById('syncConflicts');
+  if (!container) return;
+
+  const conflicts = pendingOps.filter((op) => op.status === 'conflict');
+  if (conflicts.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = conflicts
+    .map((op) => {
+      if (!op.remote || op.type === 'delete') {
+        return renderDeleteConflict(op);
+      }
+
+      const rows = getMergeRows(op.round, op.remote)
+        .map(
+          (row) => `
+          <tr>
+            <td>${row.label}</td>
+            <td><label><input type="radio" name="merge-${op.opId}-${row.key}"
+              value="local" checked /> ${formatMergeRow(
+                row,
+                op.round
+              )}</label></td>
+            <td><label><input type="radio" name="merge-${op.opId}-${row.key}"
+              value="remote" /> ${formatMergeRow(row, op.remote)}</label></td>
+          </tr>`
+        )
+        .join('');
+
+      return `
+        <div class="merge-conflict">
+          <h3>${op.round.course} - ${formatDateForDisplay(
+        op.round.date
+      )} was changed on another device</h3>
+          <table class="merge-table">
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>This device (${formatMergeTime(op.round.updatedAt)})</th>
+                <th>Other device (${formatMergeTime(op.remote.updatedAt)})</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+          <button onclick="resolveSyncConflict('${
+            op.opId
+          }')">Save Merged Round</button>
+        </div>`;
+    })
+    .join('');
+}
+
+// One side deleted the round and the other changed it - there is nothing to
+// merge field by field, so one of the two wins outright
+function renderDeleteConflict(op) {
+  const round = op.round || op.remote;
+  const [message, keepLabel, deleteLabel] =
+    op.type === 'delete'
+      ? [
+          'was deleted here but changed on another device',
+          'Keep Their Version',
+          'Delete Anyway',
+        ]
+      : [
+          'was changed here but deleted on another device',
+          'Keep My Version',
+          'Delete It Here Too',
+        ];
+
+  return `
+    <div class="merge-conflict">
+      <h3>${round.course} - ${formatDateForDisplay(round.date)} ${message}</h3>
+      <button onclick="resolveDeleteConflict('${
+        op.opId
+      }', true)">${keepLabel}</button>
+      <button onclick="resolveDeleteConflict('${
+        op.opId
+      }', false)">${deleteLabel}</button>
+    </div>`;
+}
+
+async function resolveDeleteConflict(opId, keepRound) {
+  const op = pendingOps.find((queued) => queued.opId === opId);
+  if (!op || op.status !== 'conflict') return;
+
+  pendingOps = pendingOps.filter((queued) => queued !== op);
+  savePendingOps();
+  rounds = rounds.filter((round) => round.id !== op.roundId);
+
+  try {
+    if (op.type === 'delete') {
+      if (keepRound) {
+        // The other device's copy is already stored - just show it again
+        rounds.push(op.remote);
+        rounds.sort((a, b) => new Date(b.date) - new Date(a.date));
+        saveRoundsLocally();
+        updateDisplay();
+      } else {
+        await commitRoundChange('delete', op.remote);
+      }
+    } else if (keepRound) {
+      // Written back as a new row
+      rounds.push(op.round);
+      rounds.sort((a, b) => new Date(b.date) - new Date(a.date));
+      await commitRoundChange('create', op.round);
+    } else {
+      saveRoundsLocally();
+      updateDisplay();
+    }
+  } catch (error) {
+    showError(error, 'Resolving conflict');
+  } finally {
+    renderSyncConflicts();
+  }
+}
+
+// Starts from the other device's copy so fields nobody disagreed on are
+// kept, then takes each picked value and recalculates whatever is derived
+// from the scorecard: differential, points and which shots still fit
+async function resolveSyncConflict(opId) {
+  const op = pendingOps.find((queued) => queued.opId === opId);
+  if (!op || op.status !== 'conflict') return;
+
+  const merged = { ...op.remote };
+  let formatSide = op.remote;
+  getMergeRows(op.round, op.remote).forEach((row) => {
+    const picked = document.querySelector(
+      `input[name="merge-${op.opId}-${row.key}"]:checked`
+    );
+    if (!picked || picked.value !== 'local') return;
+
+    row.fields.forEach((field) => (merged[field] = op.round[field]));
+    // PCC and where it came from travel together
+    if (row.key === 'pcc') merged.pccSource = op.round.pccSource;
+    // ...and so do the format and the handicap strokes it was played off
+    if (row.key === 'scoringFormat') formatSide = op.round;
+  });
+
+  // Rating and slope can still have come from the other side
+  try {
+    validateRoundFields(merged);
+  } catch (error) {
+    showError(error, 'Merging round');
+    return;
+  }
+  merged.differential = calculateRoundDifferential(merged);
+
+  merged.playingHandicap =
+    isPointsFormat(merged.scoringFormat) && merged.scorecard
+      ? formatSide.playingHandicap ?? null
+      : null;
+  merged.points =
+    merged.playingHandicap === null
+      ? null
+      : calculateRoundPoints(
+          merged.scoringFormat,
+          merged.scorecard,
+          merged.playingHandicap
+        );
+  merged.shots = keepFittingShots(merged.shots, merged.scorecard);
+
+  // Queue the result as an edit on top of the other device's revision
+  pendingOps = pendingOps.filter((queued) => queued !== op);
+  const index = rounds.findIndex((round) => round.id === merged.id);
+  if (index === -1) {
+    rounds.push(merged);
+  } else {
+    rounds[index] = merged;
+  }
+  rounds.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  try {
+    await commitRoundChange('update', merged);
+  } catch (error) {
+    showError(error, 'Merging round');
+  }
+}
+
+// ========================================
+// SNAPSHOT BACKUPS (IndexedDB)
+// ========================================
+//
+// Every time the rounds are saved locally (a change here, or fresh data
+// from the backend) a copy of the whole dataset is kept in IndexedDB,
+// unless it is identical to the latest copy. Restoring a snapshot queues
+// the creates, updates and deletes that turn the current rounds back into
+// it, so it reaches the active backend like any other change.
+
+function openBackupDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(CONFIG.BACKUPS.DB_NAME, 1);
+    request.onupgradeneeded = () =>
+      request.result.createObjectStore(CONFIG.BACKUPS.STORE, {
+        keyPath: 'id',
+        autoIncrement: true,
+      });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Runs `work` against the snapshot store and resolves with the value of
+// the request it returns once the transaction has finished
+async function withSnapshotStore(mode, work) {
+  const db = await openBackupDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(CONFIG.BACKUPS.STORE, mode);
+    const request = work(transaction.objectStore(CONFIG.BACKUPS.STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+// Newest first
+async function listSnapshots() {
+  const snapshots = await withSnapshotStore('readonly', (store) =>
+    store.getAll()
+  );
+  return snapshots.sort((a, b) => b.id - a.id);
+}
+
+function scheduleSnapshot() {
+  if (typeof indexedDB === 'undefined') return;
+
+  clearTimeout(snapshotTimer);
+  snapshotTimer = setTimeout(() => {
+    takeSnapshot().catch((error) =>
+      console.log('Could not save backup snapshot', error)
+    );
+  }, CONFIG.BACKUPS.DEBOUNCE_MS);
+}
+
+// Problems are worked out again on load, so they aren't part of a backup
+function getSnapshotRounds(roundList) {
+  return roundList
+    .map(({ problems, ...round }) => round)
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+async function takeSnapshot() {
+  const snapshotRounds = getSnapshotRounds(rounds);
+  const content = JSON.stringify(snapshotRounds);
+  const snapshots = await listSnapshots();
+
+  if (snapshots.length > 0 && snapshots[0].content === content) return;
+
+  await withSnapshotStore('readwrite', (store) => {
+    snapshots
+      .slice(CONFIG.BACKUPS.MAX_SNAPSHOTS - 1)
+      .forEach((old) => store.delete(old.id));
+    return store.add({
+      takenAt: new Date().toISOString(),
+      storage: getStorageLabel(),
+      roundCount: snapshotRounds.length,
+      content: content,
+    });
+  });
+
+  await renderBackupsList();
+}
+
+// What restoring `snapshotRounds` would do to the current rounds
+function diffSnapshot(snapshotRounds) {
+  const current = getSnapshotRounds(rounds);
+  const fields = [...Object.keys(CONFIG.MERGE_FIELDS), 'differential'];
+
+  const restored = snapshotRounds.filter(
+    (round) => !current.some((r) => r.id === round.id)
+  );
+  const removed = current.filter(
+    (round) => !snapshotRounds.some((r) => r.id === round.id)
+  );
+  const changed = snapshotRounds
+    .map((round) => {
+      const now = current.find((r) => r.id === round.id);
+      if (!now) return null;
+
+      const differences = fields.filter(
+        (field) =>
+          JSON.stringify(round[field] ?? null) !==
+          JSON.stringify(now[field] ?? null)
+      );
+      return differences.length > 0
+        ? { round: round, current: now, fields: differences }
+        : null;
+    })
+    .filter(Boolean);
+
+  return { restored, removed, changed };
+}
+
+async function getSnapshot(snapshotId) {
+  const snapshot = await withSnapshotStore('readonly', (store) =>
+    store.get(snapshotId)
+  );
+  if (!snapshot) {
+    throw new Error('Backup not found');
+  }
+  return snapshot;
+}
+
+function formatSnapshotRound(round) {
+  return `${formatDateForDisplay(round.date)} ${round.course} (${round.score})`;
+}
+
+async function compareSnapshot(snapshotId) {
+  const container = document.getElementById('backupDiff');
+
+  try {
+    const snapshot = await getSnapshot(snapshotId);
+    const diff = diffSnapshot(JSON.parse(snapshot.content));
+    const items = [
+      ...diff.restored.map(
+        (round) =>
+          `<li class="diff-added">Brings back ${formatSnapshotRound(
+            round
+          )}</li>`
+      ),
+      ...diff.removed.map(
+        (round) =>
+          `<li class="diff-removed">Removes ${formatSnapshotRound(round)}</li>`
+      ),
+      ...diff.changed.map(
+        (change) =>
+          `<li class="diff-changed">Changes ${formatSnapshotRound(
+            change.current
+          )}: ${change.fields
+            .map(
+              (field) =>
+                `${
+                  CONFIG.MERGE_FIELDS[field] || 'Differential'
+                } ${formatMergeValue(
+                  field,
+                  change.current[field]
+                )} → ${formatMergeValue(field, change.round[field])}`
+            )
+            .join(', ')}</li>`
+      ),
+    ];
+
+    container.innerHTML = `
+      <h3>Restoring the backup from ${new Date(
+        snapshot.takenAt
+      ).toLocaleString()} would:</h3>
+      ${
+        items.length > 0
+          ? `<ul class="migration-list">${items.join('')}</ul>`
+          : '<p class="scorecard-hint">Nothing - it matches your current rounds.</p>'
+      }`;
+  } catch (error) {
+    showError(error, 'Comparing backup');
+  }
+}
+
+async function restoreSnapshot(snapshotId) {
+  try {
+    const snapshot = await getSnapshot(snapshotId);
+    const snapshotRounds = JSON.parse(snapshot.content);
+    const diff = diffSnapshot(snapshotRounds);
+    const total =
+      diff.restored.length + diff.removed.length + diff.changed.length;
+
+    if (total === 0) {
+      alert('This backup already matches your current rounds.');
+      return;
+    }
+    if (
+      !confirm(
+        `Restore the backup from ${new Date(
+          snapshot.takenAt
+        ).toLocaleString()}? This brings back ${
+          diff.restored.length
+        } round(s), removes ${diff.removed.length} and changes ${
+          diff.changed.length
+        }.`
+      )
+    ) {
+      return;
+    }
+
+    // Make sure the current state can itself be restored later
+    clearTimeout(snapshotTimer);
+    await takeSnapshot();
+
+    diff.removed.forEach((round) => enqueueRoundOp('delete', round));
+    diff.restored.forEach((round) =>
+      enqueueRoundOp('create', { ...round, revision: 0 })
+    );
+    // Edits build on the stored revision, not the one in the backup
+    diff.changed.forEach((change) =>
+      enqueueRoundOp('update', {
+        ...change.round,
+        revision: change.current.revision,
+      })
+    );
+
+    rounds = applyPendingOps(getSnapshotRounds(rounds));
+    rounds.sort((a, b) => new Date(b.date) - new Date(a.date));
+    saveRoundsLocally();
+    updateDisplay();
+    document.getElementById('backupDiff').innerHTML = '';
+
+    await processSyncQueue();
+  } catch (error) {
+    showError(error, 'Restoring backup');
+  }
+}
+
+async function renderBackupsList() {
+  const container = document.getElementById('backupsList');
+  if (!container) return;
+
+  if (typeof indexedDB === 'undefined') {
+    container.innerHTML =
+      '<p class="scorecard-hint">Backups are not available in this browser.</p>';
+    return;
+  }
+
+  const snapshots = await listSnapshots();
+  if (snapshots.length === 0) {
+    container.innerHTML =
+      '<p class="scorecard-hint">No backups yet - one is taken every time your rounds change.</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="table-wrapper">
+      <table class="backups-table">
+        <thead>
+          <tr><th>Taken</th><th>Rounds</th><th>Storage</th><th>Action</th></tr>
+        </thead>
+        <tbody>
+          ${snapshots
+            .map(
+              (snapshot) => `
+            <tr>
+              <td>${new Date(snapshot.takenAt).toLocaleString()}</td>
+              <td>${snapshot.roundCount}</td>
+              <td>${snapshot.storage}</td>
+              <td>
+                <button class="edit-btn" onclick="compareSnapshot(${
+                  snapshot.id
+                })">Compare</button>
+                <button class="edit-btn" onclick="restoreSnapshot(${
+                  snapshot.id
+                })">Restore</button>
+              </td>
+            </tr>`
+            )
+            .join('')}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+// ========================================
+// HANDICAP CALCULATION - WORLD HANDICAP SYSTEM
+// ========================================
+
+function sortRoundsByDateDesc(roundList) {
+  return [...roundList].sort((a, b) => {
+    const dateDiff = new Date(b.date) - new Date(a.date);
+    if (dateDiff !== 0) return dateDiff;
+    // Same day: the round entered last is treated as the most recent
+    return String(b.id).localeCompare(String(a.id));
+  });
+}
+
+function calculateScoreDifferential(
+  adjustedGross,
+  rating,
+  slope,
+  pcc = 0,
+  holes = 18
+) {
+  // 9-hole scores only take half of the day's PCC
+  const conditions = holes === 9 ? pcc * 0.5 : pcc;
+  return ((adjustedGross - rating - conditions) * 113) / slope;
+}
+
+function calculateRoundDifferential(round) {
+  return parseFloat(
+    calculateScoreDifferential(
+      round.adjScore,
+      round.rating,
+      round.slope,
+      round.pcc || 0,
+      round.holes
+    ).toFixed(2)
+  );
+}
+
+// Turns rounds into WHS scores: 18-hole rounds count on their own, 9-hole
+// rounds are combined in the order they were played. A leftover 9-hole
+// round waits for its partner.
+function buildScoringRecords(roundList) {
+  const records = [];
+  let pendingNine = null;
+
+  sortRoundsByDateDesc(roundList)
+    .reverse()
+    .forEach((round) => {
+      if (round.holes !== 9) {
+        records.push({
+          id: round.id,
+          date: round.date,
+          differential: round.differential,
+          roundIds: [round.id],
+        });
+        return;
+      }
+
+      if (!pendingNine) {
+        pendingNine = round;
+        return;
+      }
+
+      records.push({
+        id: `${pendingNine.id}+${round.id}`,
+        date: round.date,
+        differential: parseFloat(
+          (pendingNine.differential + round.differential).toFixed(2)
+        ),
+        roundIds: [pendingNine.id, round.id],
+      });
+      pendingNine = null;
+    });
+
+  return records;
+}
+
+// WHS truncates the index to one decimal. Rounding to hundredths first stops
+// float noise (e.g. 12.29999...) from knocking a tenth off.
+function truncateToTenth(value) {
+  const hundredths = Math.round(value * 100);
+  return Math.trunc(hundredths / 10) / 10;
+}
+
+// The current index is simply the latest revision in the history
+function calculateHandicap(
+  regulationOnly = false,
+  roundList = getPlayerRounds()
+) {
+  if (roundList.length === 0) return null;
+
+  const history = getHandicapHistory(regulationOnly, roundList);
+  return history.length > 0 ? history[history.length - 1] : null;
+}
+
+// Uncapped index from the 20 most recent scores in the records given
+function calculateIndexFromRecords(scoringRecords) {
+  if (scoringRecords.length < CONFIG.HANDICAP_RULES.MIN_SCORES) return null;
+
+  // Only the 20 most recent scores make up the scoring record
+  const scoringRecord = sortRoundsByDateDesc(scoringRecords).slice(
+    0,
+    CONFIG.HANDICAP_RULES.MAX_SCORES
+  );
+
+  const { use: roundsToUse, adjustment } =
+    CONFIG.WHS_TABLE[scoringRecord.length];
+
+  const bestDifferentials = [...scoringRecord]
+    .sort((a, b) => a.differential - b.differential)
+    .slice(0, roundsToUse);
+  const avgDifferential =
+    bestDifferentials.reduce((sum, record) => sum + record.differential, 0) /
+    roundsToUse;
+
+  const handicap = Math.min(
+    truncateToTenth(avgDifferential + adjustment),
+    CONFIG.HANDICAP_RULES.MAX_INDEX
+  );
+
+  return {
+    handicap: handicap,
+    roundsUsed: roundsToUse,
+    totalHandicapRounds: scoringRecord.length,
+    adjustment: adjustment,
+    countingRoundIds: bestDifferentials.flatMap((record) => record.roundIds),
+    scoringRecordRoundIds: scoringRecord.flatMap((record) => record.roundIds),
+  };
+}
+
+// Replays the scoring records in date order, revising the index after each
+// score. Once 20 scores exist, every revision is capped against the Low
+// Handicap Index: the lowest index in the 365 days before that score.
+// Exceptional scores reduce the 20 most recent differentials as they arrive.
+function buildIndexHistory(scoringRecords) {
+  const orderedRecords = sortRoundsByDateDesc(scoringRecords).reverse();
+  const history = [];
+  const esrReductions = {};
+  const exceptionalScores = {};
+
+  orderedRecords.forEach((record, i) => {
+    const previousEntry = history[history.length - 1];
+    const recordsSoFar = orderedRecords.slice(0, i + 1);
+
+    if (previousEntry) {
+      const belowIndex = previousEntry.handicap - record.differential;
+      const reduction = getExceptionalScoreReduction(belowIndex);
+
+      if (reduction > 0) {
+        exceptionalScores[record.id] = {
+          reduction: reduction,
+          belowIndex: belowIndex,
+          priorIndex: previousEntry.handicap,
+          date: record.date,
+          roundIds: record.roundIds,
+        };
+        sortRoundsByDateDesc(recordsSoFar)
+          .slice(0, CONFIG.HANDICAP_RULES.MAX_SCORES)
+          .forEach((affected) => {
+            esrReductions[affected.id] =
+              (esrReductions[affected.id] || 0) + reduction;
+          });
+      }
+    }
+
+    const result = calculateIndexFromRecords(
+      recordsSoFar.map((r) => ({
+        ...r,
+        differential: r.differential - (esrReductions[r.id] || 0),
+      }))
+    );
+    if (!result) return;
+
+    const previousYear = history.filter(
+      (entry) =>
+        daysBetween(entry.date, record.date) <= CONFIG.CAPS.LOOKBACK_DAYS
+    );
+    const lowIndex =
+      recordsSoFar.length >= CONFIG.HANDICAP_RULES.MAX_SCORES &&
+      previousYear.length > 0
+        ? Math.min(...previousYear.map((entry) => entry.handicap))
+        : null;
+
+    const { handicap, capApplied } = applyHandicapCaps(
+      result.handicap,
+      lowIndex
+    );
+
+    history.push({
+      ...result,
+      date: record.date,
+      recordId: record.id,
+      handicap: handicap,
+      uncappedHandicap: result.handicap,
+      lowIndex: lowIndex,
+      capApplied: capApplied,
+      esrByRoundId: mapRecordsToRounds(recordsSoFar, esrReductions),
+      exceptionalByRoundId: mapRecordsToRounds(recordsSoFar, exceptionalScores),
+    });
+  });
+
+  return history;
+}
+
+function getExceptionalScoreReduction(belowIndex) {
+  if (belowIndex >= CONFIG.ESR.LARGE_THRESHOLD) {
+    return CONFIG.ESR.LARGE_REDUCTION;
+  }
+  if (belowIndex >= CONFIG.ESR.THRESHOLD) return CONFIG.ESR.REDUCTION;
+  return 0;
+}
+
+// Re-keys per-record values by round id (9-hole pairs share one record)
+function mapRecordsToRounds(records, valuesByRecordId) {
+  const byRoundId = {};
+  records.forEach((record) => {
+    if (valuesByRecordId[record.id] === undefined) return;
+    record.roundIds.forEach((roundId) => {
+      byRoundId[roundId] = valuesByRecordId[record.id];
+    });
+  });
+  return byRoundId;
+}
+
+function applyHandicapCaps(handicap, lowIndex) {
+  if (lowIndex === null) return { handicap: handicap, capApplied: null };
+
+  const increase = handicap - lowIndex;
+  if (increase <= CONFIG.CAPS.SOFT_CAP_THRESHOLD) {
+    return { handicap: handicap, capApplied: null };
+  }
+
+  // Soft cap halves the rise above 3.0, hard cap stops it at 5.0
+  const softCapped =
+    lowIndex +
+    CONFIG.CAPS.SOFT_CAP_THRESHOLD +
+    (increase - CONFIG.CAPS.SOFT_CAP_THRESHOLD) * CONFIG.CAPS.SOFT_CAP_FACTOR;
+  const hardLimit = lowIndex + CONFIG.CAPS.HARD_CAP;
+
+  if (softCapped > hardLimit) {
+    return { handicap: truncateToTenth(hardLimit), capApplied: 'hard' };
+  }
+  return { handicap: truncateToTenth(softCapped), capApplied: 'soft' };
+}
+
+function daysBetween(earlierDate, laterDate) {
+  return (new Date(laterDate) - new Date(earlierDate)) / (1000 * 60 * 60 * 24);
+}
+
+// ========================================
+// HANDICAP HISTORY
+// ========================================
+
+function getHandicapHistory(
+  regulationOnly = false,
+  roundList = getPlayerRounds()
+) {
+  let handicapRounds = roundList.filter(countsTowardHandicap);
+
+  if (regulationOnly) {
+    handicapRounds = handicapRounds.filter(
+      (round) => round.courseType === 'regulation'
+    );
+  }
+
+  return buildIndexHistory(buildScoringRecords(handicapRounds));
+}
+
+function updateHandicapHistory() {
+  handicapHistory = {
+    all: getHandicapHistory(false),
+    regulation: getHandicapHistory(true),
+  };
+}
+
+// The index in effect on a date. A revision from a score posted that day
+// only applies from the next day, so it isn't what the player played off.
+function getHandicapAsOf(date, regulationOnly = false) {
+  const history = regulationOnly
+    ? handicapHistory.regulation
+    : handicapHistory.all;
+  const revisions = history.filter((entry) => entry.date < date);
+
+  return revisions.length > 0 ? revisions[revisions.length - 1] : null;
+}
+
+function lookupHandicapAsOf() {
+  const date = document.getElementById('asOfDate').value;
+  const result = document.getElementById('asOfResult');
+
+  if (!date) {
+    result.textContent = 'Pick a date to look up.';
+    return;
+  }
+
+  const overall = getHandicapAsOf(date, false);
+  const regulation = getHandicapAsOf(date, true);
+  const format = (entry) =>
+    entry
+      ? `${entry.handicap.toFixed(1)} (since ${formatDateForDisplay(
+          entry.date
+        )})`
+      : 'no index yet';
+
+  result.textContent = `On ${formatDateForDisplay(date)}: all courses ${format(
+    overall
+  )} · regulation ${format(regulation)}`;
+}
+
+function renderHandicapChart() {
+  const container = document.getElementById('handicapChart');
+  if (!container) return;
+
+  const history = handicapHistory.all;
+  if (history.length < 2) {
+    container.innerHTML =
+      '<p class="chart-empty">The chart appears once your index has been revised at least twice.</p>';
+    return;
+  }
+
+  const width = 800;
+  const height = 260;
+  const padding = { top: 20, right: 20, bottom: 30, left: 45 };
+
+  const times = history.map((entry) => new Date(entry.date).getTime());
+  const values = history.flatMap((entry) =>
+    entry.lowIndex === null
+      ? [entry.handicap]
+      : [entry.handicap, entry.lowIndex]
+  );
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const minValue = Math.floor(Math.min(...values) - 1);
+  const maxValue = Math.ceil(Math.max(...values) + 1);
+
+  const x = (time) =>
+    padding.left +
+    ((time - minTime) / (maxTime - minTime || 1)) *
+      (width - padding.left - padding.right);
+  const y = (value) =>
+    padding.top +
+    ((maxValue - value) / (maxValue - minValue)) *
+      (height - padding.top - padding.bottom);
+
+  const indexPoints = history
+    .map((entry, i) => `${x(times[i])},${y(entry.handicap)}`)
+    .join(' ');
+  const lowIndexPoints = history
+    .map((entry, i) =>
+      entry.lowIndex === null ? null : `${x(times[i])},${y(entry.lowIndex)}`
+    )
+    .filter(Boolean)
+    .join(' ');
+
+  const gridLines = [minValue, (minValue + maxValue) / 2, maxValue]
+    .map(
+      (value) => `
+        <line class="chart-grid" x1="${padding.left}" x2="${
+        width - padding.right
+      }" y1="${y(value)}" y2="${y(value)}" />
+        <text class="chart-label" x="${padding.left - 8}" y="${
+        y(value) + 4
+      }" text-anchor="end">${value.toFixed(1)}</text>`
+    )
+    .join('');
+
+  container.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Handicap index over time">
+      ${gridLines}
+      <text class="chart-label" x="${padding.left}" y="${
+    height - 8
+  }">${formatDateForDisplay(history[0].date)}</text>
+      <text class="chart-label" x="${width - padding.right}" y="${
+    height - 8
+  }" text-anchor="end">${formatDateForDisplay(
+    history[history.length - 1].date
+  )}</text>
+      ${
+        lowIndexPoints
+          ? `<polyline class="chart-low-index" points="${lowIndexPoints}" />`
+          : ''
+      }
+      <polyline class="chart-index" points="${indexPoints}" />
+    </svg>
+    <div class="chart-legend">
+      <span class="legend-index">Handicap Index</span>
+      <span class="legend-low-index">Low Index (365 days)</span>
+    </div>
+  `;
+}
+
+// ========================================
+// PLAYING CONDITIONS CALCULATION (PCC)
+// ========================================
+
+function isSameCourseAndDate(round, course, date) {
+  return (
+    round.date === date &&
+    (round.course || '').trim().toLowerCase() === course.trim().toLowerCase()
+  );
+}
+
+// Compares how far the day's scores came in above the index against what is
+// normally expected. Returns null when too few scores share the course/date.
+function calculatePCC(roundList, course, date) {
+  const sameDayRounds = roundList.filter(
+    (round) =>
+      countsTowardHandicap(round) && isSameCourseAndDate(round, course, date)
+  );
+  if (sameDayRounds.length < CONFIG.PCC.MIN_SCORES) return null;
+
+  // Each score is judged against its own player's index going into the day,
+  // so the day's scores don't judge themselves
+  const priorIndexes = {};
+  sameDayRounds.forEach((round) => {
+    const playerId = getRoundPlayerId(round);
+    if (playerId in priorIndexes) return;
+    priorIndexes[playerId] = calculateHandicap(
+      false,
+      getPlayerRounds(roundList, playerId).filter((prior) => prior.date < date)
+    );
+  });
+  const scoredRounds = sameDayRounds.filter(
+    (round) => priorIndexes[getRoundPlayerId(round)]
+  );
+  if (scoredRounds.length < CONFIG.PCC.MIN_SCORES) return null;
+
+  const averageOverIndex =
+    scoredRounds.reduce((sum, round) => {
+      const unadjusted = calculateScoreDifferential(
+        round.adjScore,
+        round.rating,
+        round.slope,
+        0,
+        round.holes
+      );
+      // 9-hole differentials are compared against half the index
+      const priorIndex = priorIndexes[getRoundPlayerId(round)].handicap;
+      const expected = round.holes === 9 ? priorIndex / 2 : priorIndex;
+      return sum + (unadjusted - expected);
+    }, 0) / scoredRounds.length;
+
+  const pcc = Math.round(averageOverIndex - CONFIG.PCC.EXPECTED_OVER_INDEX);
+  return Math.max(CONFIG.PCC.MIN, Math.min(CONFIG.PCC.MAX, pcc));
+}
+
+// Brings every auto-PCC round from the same course/date in line with the
+// latest calculation and saves the ones that changed
+async function applyAutomaticPCC(course, date, pcc) {
+  const changedRounds = rounds.filter(
+    (round) =>
+      round.pccSource === 'auto' &&
+      !isQuarantined(round) &&
+      isSameCourseAndDate(round, course, date) &&
+      round.pcc !== pcc
+  );
+
+  changedRounds.forEach((round) => {
+    round.pcc = pcc;
+    round.differential = calculateRoundDifferential(round);
+    enqueueRoundOp('update', round);
+  });
+
+  if (changedRounds.length > 0) {
+    saveRoundsLocally();
+    await processSyncQueue();
+  }
+}
+
+// ========================================
+// COURSE HANDICAP AND NET DOUBLE BOGEY
+// ========================================
+
+function calculateCourseHandicap(
+  handicapIndex,
+  slope,
+  rating,
+  par,
+  holes = 18
+) {
+  return Math.round(
+    calculateUnroundedCourseHandicap(handicapIndex, slope, rating, par, holes)
+  );
+}
+
+function calculateUnroundedCourseHandicap(
+  handicapIndex,
+  slope,
+  rating,
+  par,
+  holes = 18
+) {
+  // 9-hole rounds play off half the index against the 9-hole rating
+  const index = holes === 9 ? handicapIndex / 2 : handicapIndex;
+  return (index * slope) / 113 + (rating - par);
+}
+
+// The allowance is applied to the unrounded Course Handicap
+function calculatePlayingHandicap(
+  handicapIndex,
+  slope,
+  rating,
+  par,
+  holes,
+  allowance
+) {
+  return Math.round(
+    calculateUnroundedCourseHandicap(handicapIndex, slope, rating, par, holes) *
+      allowance
+  );
+}
+
+// ========================================
+// COURSE HANDICAP CALCULATOR PANEL
+// ========================================
+
+function populateFormatOptions(select) {
+  if (!select) return;
+
+  select.innerHTML = Object.entries(CONFIG.FORMAT_ALLOWANCES)
+    .map(([key, format]) => `<option value="${key}">${format.label}</option>`)
+    .join('');
+}
+
+function calculateCoursePlayingHandicap() {
+  try {
+    const holes = parseInt(document.getElementById('calcHoles').value);
+    const par = parseInt(document.getElementById('calcPar').value);
+    const rating = parseFloat(document.getElementById('calcRating').value);
+    const slope = parseInt(document.getElementById('calcSlope').value);
+    const format = document.getElementById('calcFormat').value;
+    const indexOverride = document.getElementById('calcIndex').value.trim();
+
+    if (!par || !rating || !slope) {
+      throw new Error('Please enter rating, slope and par');
+    }
+    validateCourseRatings(holes, par, rating, slope);
+
+    const currentIndex = calculateHandicap(false);
+    const handicapIndex =
+      indexOverride !== ''
+        ? parseFloat(indexOverride)
+        : currentIndex && currentIndex.handicap;
+    if (handicapIndex === null || isNaN(handicapIndex)) {
+      throw new Error('No handicap index available');
+    }
+
+    const allowance = CONFIG.FORMAT_ALLOWANCES[format].allowance;
+    const courseHandicap = calculateCourseHandicap(
+      handicapIndex,
+      slope,
+      rating,
+      par,
+      holes
+    );
+    const playingHandicap = calculatePlayingHandicap(
+      handicapIndex,
+      slope,
+      rating,
+      par,
+      holes,
+      allowance
+    );
+
+    document.getElementById('calcIndexUsed').textContent =
+      handicapIndex.toFixed(1);
+    document.getElementById('calcCourseHandicap').textContent =
+      formatHandicapStrokes(courseHandicap);
+    document.getElementById('calcPlayingHandicap').textContent =
+      formatHandicapStrokes(playingHandicap);
+    document.getElementById('calcAllowanceUsed').textContent = `${Math.round(
+      allowance * 100
+    )}%`;
+  } catch (error) {
+    showError(error, 'Calculating course handicap');
+  }
+}
+
+// Plus handicaps are shown with a leading "+" like on an official card
+function formatHandicapStrokes(strokes) {
+  return strokes < 0 ? `+${Math.abs(strokes)}` : String(strokes);
+}
+
+function allocateHandicapStrokes(courseHandicap, strokeIndexes) {
+  const holeCount = strokeIndexes.length;
+  // Rank holes hardest-first so 9-hole cards using odd/even indexes still work
+  const ranks = strokeIndexes.map(
+    (si) => strokeIndexes.filter((other) => other < si).length + 1
+  );
+  const strokesEach = Math.floor(Math.abs(courseHandicap) / holeCount);
+  const extraStrokes = Math.abs(courseHandicap) % holeCount;
+
+  return ranks.map((rank) => {
+    if (courseHandicap >= 0) {
+      return strokesEach + (rank <= extraStrokes ? 1 : 0);
+    }
+    // Plus handicaps give strokes back, starting from the easiest holes
+    return -(strokesEach + (rank > holeCount - extraStrokes ? 1 : 0));
+  });
+}
+
+function calculateAdjustedHoles(holes, courseHandicap) {
+  const strokesReceived =
+    courseHandicap === null
+      ? null
+      : allocateHandicapStrokes(
+          courseHandicap,
+          holes.map((hole) => hole.strokeIndex)
+        );
+
+  return holes.map((hole, i) => {
+    // Until a player has an index, WHS caps every hole at par + 5
+    const maxScore = strokesReceived
+      ? hole.par + 2 + strokesReceived[i]
+      : hole.par + 5;
+
+    // Any fairway/green/putts detail recorded for the hole is kept as is
+    return {
+      ...hole,
+      adjusted: Math.min(hole.strokes, maxScore),
+    };
+  });
+}
+
+// ========================================
+// SCORING FORMATS (STABLEFORD, PAR/BOGEY)
+// ========================================
+//
+// Points formats score every hole from the net strokes - gross strokes less
+// the handicap strokes received there - against par. Only hole-by-hole
+// rounds can be scored this way.
+
+// Points for one hole from the net score relative to par (-1 = net birdie)
+const HOLE_POINTS = {
+  stableford: (netToPar) => Math.max(0, 2 - netToPar),
+  modifiedStableford: (netToPar) =>
+    CONFIG.MODIFIED_STABLEFORD_POINTS[Math.max(-3, Math.min(2, netToPar))],
+  // Won, halved or lost against par
+  parBogey: (netToPar) => -Math.sign(netToPar),
+};
+
+function isPointsFormat(scoringFormat) {
+  return Boolean(HOLE_POINTS[scoringFormat]);
+}
+
+function calculateRoundPoints(scoringFormat, scorecard, playingHandicap) {
+  const strokesReceived = allocateHandicapStrokes(
+    playingHandicap,
+    scorecard.map((hole) => hole.strokeIndex)
+  );
+
+  return scorecard.reduce(
+    (sum, hole, i) =>
+      sum +
+      HOLE_POINTS[scoringFormat](hole.strokes - strokesReceived[i] - hole.par),
+    0
+  );
+}
+
+function getScoringFormatDisplay(scoringFormat) {
+  return (
+    CONFIG.SCORING_FORMATS[scoringFormat] || CONFIG.SCORING_FORMATS.strokePlay
+  ).label;
+}
+
+// Par/bogey results read like a match against the course
+function formatRoundPoints(round) {
+  if (!isPointsFormat(round.scoringFormat) || round.points === null) return '';
+  if (round.scoringFormat !== 'parBogey') return `${round.points} pts`;
+
+  if (round.points === 0) return 'All square';
+  return round.points > 0
+    ? `${round.points} up`
+    : `${Math.abs(round.points)} down`;
+}
+
+function populateScoringFormatOptions(select) {
+  if (!select) return;
+
+  select.innerHTML = Object.entries(CONFIG.SCORING_FORMATS)
+    .map(([key, format]) => `<option value="${key}">${format.label}</option>`)
+    .join('');
+}
+
+// ========================================
+// STROKES GAINED
+// ========================================
+//
+// Shots are recorded per hole as where each stroke was played from, e.g.
+// "410 tee, 150 rough p, 12 green, 2 green" ("p" = a penalty stroke came
+// with that shot). Yards off the green, feet on it. Every shot gains or
+// loses against the strokes a benchmark player is expected to need from
+// that spot, and is credited to off the tee, approach, around the green or
+// putting.
+
+// Expected strokes to hole out for a tour player, by lie and distance
+// (after Broadie, "Every Shot Counts"). Values in between are interpolated.
+const STROKES_GAINED_BASELINE = {
+  tee: [
+    [100, 2.92],
+    [140, 2.97],
+    [180, 3.05],
+    [220, 3.17],
+    [260, 3.45],
+    [300, 3.71],
+    [340, 3.86],
+    [380, 3.96],
+    [420, 4.02],
+    [460, 4.17],
+    [500, 4.41],
+    [540, 4.65],
+    [600, 4.82],
+  ],
+  fairway: [
+    [10, 2.18],
+    [20, 2.4],
+    [40, 2.6],
+    [60, 2.7],
+    [80, 2.75],
+    [100, 2.8],
+    [120, 2.85],
+    [140, 2.91],
+    [160, 2.98],
+    [180, 3.08],
+    [200, 3.19],
+    [240, 3.45],
+    [280, 3.69],
+    [320, 3.84],
+  ],
+  rough: [
+    [10, 2.34],
+    [20, 2.59],
+    [40, 2.78],
+    [60, 2.91],
+    [80, 2.96],
+    [100, 3.02],
+    [120, 3.08],
+    [140, 3.15],
+    [160, 3.23],
+    [180, 3.31],
+    [200, 3.42],
+    [240, 3.64],
+    [280, 3.83],
+    [320, 3.95],
+  ],
+  sand: [
+    [10, 2.43],
+    [20, 2.53],
+    [40, 2.82],
+    [60, 3.15],
+    [80, 3.24],
+    [100, 3.23],
+    [140, 3.22],
+    [180, 3.4],
+    [220, 3.7],
+    [260, 3.93],
+    [300, 4.04],
+  ],
+  recovery: [
+    [50, 3.6],
+    [100, 3.8],
+    [150, 3.8],
+    [200, 3.87],
+    [250, 4.0],
+    [300, 4.2],
+  ],
+  // Feet
+  green: [
+    [1, 1.0],
+    [2, 1.01],
+    [3, 1.04],
+    [4, 1.13],
+    [5, 1.23],
+    [6, 1.34],
+    [8, 1.5],
+    [10, 1.61],
+    [15, 1.78],
+    [20, 1.87],
+    [30, 1.98],
+    [40, 2.06],
+    [50, 2.14],
+    [60, 2.21],
+    [90, 2.4],
+  ],
+};
+
+// Strokes a benchmark player needs from a spot. Amateur benchmarks stretch
+// everything above the final stroke by how much longer their round is.
+function getExpectedStrokes(lie, distance, benchmark) {
+  const table = STROKES_GAINED_BASELINE[lie];
+  const clamped = Math.max(
+    table[0][0],
+    Math.min(table[table.length - 1][0], distance)
+  );
+  const upper = table.findIndex(([d]) => d >= clamped);
+  const [d1, e1] = table[Math.max(0, upper - 1)];
+  const [d2, e2] = table[upper];
+  const tourStrokes =
+    d2 === d1 ? e2 : e1 + ((e2 - e1) * (clamped - d1)) / (d2 - d1);
+
+  const settings = CONFIG.STROKES_GAINED;
+  const handicap = settings.BENCHMARKS[benchmark].handicap;
+  const stretch =
+    handicap === null
+      ? 1
+      : (settings.TOUR_ROUND_STROKES -
+          18 +
+          handicap +
+          settings.SCORE_OVER_HANDICAP) /
+        (settings.TOUR_ROUND_STROKES - 18);
+
+  return 1 + (tourStrokes - 1) * stretch;
+}
+
+// "150 rough p" -> { distance: 150, lie: 'rough', penalty: true }
+function parseShot(text) {
+  const match = text
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(?:yds?|ft)?\s+([a-z]+)(\s+p)?$/);
+  if (!match || !STROKES_GAINED_BASELINE[match[2]] || !(match[1] > 0)) {
+    throw new Error('Shots must look like "150 fairway"');
+  }
+
+  return {
+    distance: parseFloat(match[1]),
+    lie: match[2],
+    penalty: Boolean(match[3]),
+  };
+}
+
+function formatShot(shot) {
+  return `${shot.distance} ${shot.lie}${shot.penalty ? ' p' : ''}`;
+}
+
+// Shots for one hole, checked against the strokes on the scorecard
+function parseHoleShots(text, hole) {
+  if (!text.trim()) return null;
+
+  const shots = text.split(',').map(parseShot);
+  if (countShotStrokes(shots) !== hole.strokes) {
+    throw new Error('Shots must add up to the score on each hole');
+  }
+
+  return shots;
+}
+
+// A penalty shot costs the stroke itself plus one
+function countShotStrokes(shots) {
+  return shots.length + shots.filter((shot) => shot.penalty).length;
+}
+
+// Shots merged onto a scorecard from the other device only stay on holes
+// where they still add up to the score
+function keepFittingShots(shots, scorecard) {
+  if (!shots || !scorecard || shots.length !== scorecard.length) return null;
+
+  const kept = shots.map((holeShots, i) =>
+    holeShots && countShotStrokes(holeShots) === scorecard[i].strokes
+      ? holeShots
+      : null
+  );
+  return kept.some(Boolean) ? kept : null;
+}
+
+function getShotCategory(shot, index, hole) {
+  if (shot.lie === 'green') return 'putting';
+  if (index === 0 && shot.lie === 'tee' && hole.par >= 4) return 'offTheTee';
+  return shot.distance <= CONFIG.STROKES_GAINED.AROUND_GREEN_YARDS
+    ? 'aroundTheGreen'
+    : 'approach';
+}
+
+function calculateRoundStrokesGained(round, benchmark) {
+  const result = {
+    holes: 0,
+    offTheTee: 0,
+    approach: 0,
+    aroundTheGreen: 0,
+    putting: 0,
+    total: 0,
+  };
+
+  (round.shots || []).forEach((shots, holeIndex) => {
+    const hole = round.scorecard && round.scorecard[holeIndex];
+    if (!shots || !hole) return;
+
+    result.holes++;
+    shots.forEach((shot, i) => {
+      const next = shots[i + 1];
+      const gained =
+        getExpectedStrokes(shot.lie, shot.distance, benchmark) -
+        (next ? getExpectedStrokes(next.lie, next.distance, benchmark) : 0) -
+        1 -
+        (shot.penalty ? 1 : 0);
+      result[getShotCategory(shot, i, hole)] += gained;
+      result.total += gained;
+    });
+  });
+
+  return result;
+}
+
+// Rounds with shots, oldest first, each with its own and the rolling
+// average strokes gained
+function getStrokesGainedRows(benchmark) {
+  const categories = [
+    'offTheTee',
+    'approach',
+    'aroundTheGreen',
+    'putting',
+    'total',
+  ];
+  const tracked = sortRoundsByDateDesc(
+    getPlayerRounds().filter(
+      (round) => !isQuarantined(round) && round.shots && round.scorecard
+    )
+  ).reverse();
+
+  const results = tracked.map((round) =>
+    calculateRoundStrokesGained(round, benchmark)
+  );
+
+  return tracked.map((round, i) => {
+    const recent = results.slice(
+      Math.max(0, i - CONFIG.STROKES_GAINED.ROLLING_ROUNDS + 1),
+      i + 1
+    );
+    const rolling = {};
+    categories.forEach((category) => {
+      rolling[category] =
+        recent.reduce((sum, result) => sum + result[category], 0) /
+        recent.length;
+    });
+    return {
+      round: round,
+      gained: results[i],
+      rolling: rolling,
+      rollingCount: recent.length,
+    };
+  });
+}
+
+function formatStrokesGained(value) {
+  const rounded = value.toFixed(2);
+  return value > 0 ? `+${rounded}` : rounded;
+}
+
+function updateStrokesGained() {
+  const container = document.getElementById('strokesGainedTable');
+  if (!container) return;
+
+  const benchmarkSelect = document.getElementById('sgBenchmark');
+  const benchmark = benchmarkSelect.value || 'scratch';
+  const rows = getStrokesGainedRows(benchmark);
+
+  if (rows.length === 0) {
+    container.innerHTML =
+      '<p class="scorecard-hint">No shots recorded yet - pick a round above to add them.</p>';
+    return;
+  }
+
+  const cells = (values) =>
+    ['offTheTee', 'approach', 'aroundTheGreen', 'putting', 'total']
+      .map((category) => `<td>${formatStrokesGained(values[category])}</td>`)
+      .join('');
+
+  container.innerHTML = `
+    <table class="sg-table">
+      <thead>
+        <tr>
+          <th>Date</th>
+          <th>Course</th>
+          <th>Holes</th>
+          <th>Off the Tee</th>
+          <th>Approach</th>
+          <th>Around Green</th>
+          <th>Putting</th>
+          <th>Total</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .slice()
+          .reverse()
+          .map(
+            (row) => `
+          <tr>
+            <td>${formatDateForDisplay(row.round.date)}</td>
+            <td>${row.round.course}</td>
+            <td>${row.gained.holes}</td>
+            ${cells(row.gained)}
+          </tr>
+          <tr class="sg-rolling">
+            <td colspan="3">Average of last ${row.rollingCount}</td>
+            ${cells(row.rolling)}
+          </tr>`
+          )
+          .join('')}
+      </tbody>
+    </table>`;
+}
+
+function populateShotRoundOptions() {
+  const select = document.getElementById('shotRound');
+  if (!select) return;
+
+  const selected = select.value;
+  const scorecardRounds = getPlayerRounds().filter(
+    (round) => round.scorecard && !isQuarantined(round)
+  );
+
+  select.innerHTML =
+    '<option value="">-- Pick a hole-by-hole round --</option>' +
+    sortRoundsByDateDesc(scorecardRounds)
+      .map(
+        (round) =>
+          `<option value="${round.id}">${formatDateForDisplay(round.date)} ${
+            round.course
+          } (${round.score})</option>`
+      )
+      .join('');
+
+  select.value = scorecardRounds.some((round) => round.id === selected)
+    ? selected
+    : '';
+  // The round being edited is gone (deleted, or another player picked)
+  if (select.value !== selected) renderShotEntry();
+}
+
+function renderShotEntry() {
+  const container = document.getElementById('shotEntry');
+  const round = rounds.find(
+    (r) => r.id === document.getElementById('shotRound').value
+  );
+
+  if (!round) {
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = `
+    ${round.scorecard
+      .map(
+        (hole, i) => `
+      <div class="shot-row">
+        <label for="shots-${i}">Hole ${i + 1} (par ${hole.par}, ${
+          hole.strokes
+        })</label>
+        <input type="text" id="shots-${i}" value="${
+          round.shots && round.shots[i]
+            ? round.shots[i].map(formatShot).join(', ')
+            : ''
+        }" placeholder="e.g., 410 tee, 150 fairway, 12 green, 2 green" />
+      </div>`
+      )
+      .join('')}
+    <button onclick="saveRoundShots('${round.id}')">Save Shots</button>`;
+}
+
+async function saveRoundShots(roundId) {
+  try {
+    const round = rounds.find((r) => r.id === roundId);
+    if (!round) return;
+    if (isQuarantined(round)) {
+      throw new Error('Fix this round before changing it');
+    }
+
+    const shots = round.scorecard.map((hole, i) =>
+      parseHoleShots(document.getElementById(`shots-${i}`).value, hole)
+    );
+
+    round.shots = shots.some(Boolean) ? shots : null;
+    updateDisplay();
+
+    await commitRoundChange('update', round);
+  } catch (error) {
+    showError(error, 'Saving shots');
+  }
+}
+
+function populateBenchmarkOptions(select) {
+  if (!select) return;
+
+  select.innerHTML = Object.entries(CONFIG.STROKES_GAINED.BENCHMARKS)
+    .map(
+      ([key, benchmark]) => `<option value="${key}">${benchmark.label}</option>`
+    )
+    .join('');
+  select.value = 'scratch';
+}
+
+// ========================================
+// GROUP MATCH SETUP
+// ========================================
+//
+// Course and Playing Handicaps for everyone in a match on one tee set, and
+// which holes their strokes fall on. In match play the lowest Playing
+// Handicap plays off zero and the others receive the difference.
+
+function renderMatchPlayers() {
+  const container = document.getElementById('matchPlayers');
+  if (!container) return;
+
+  // Keep what was already picked when the player list is redrawn
+  const previous = Array.from({ length: CONFIG.MATCH.MAX_PLAYERS }, (_, i) => {
+    const select = document.getElementById(`matchPlayer-${i}`);
+    const input = document.getElementById(`matchIndex-${i}`);
+    return {
+      playerId: select ? select.value : i === 0 ? currentPlayerId : '',
+      index: input ? input.value : '',
+    };
+  });
+
+  container.innerHTML = previous
+    .map(
+      (row, i) => `
+        <div class="match-player-row">
+          <select id="matchPlayer-${i}">
+            <option value="">-- No player --</option>
+            ${players
+              .map(
+                (player) =>
+                  `<option value="${player.id}"${
+                    player.id === row.playerId ? ' selected' : ''
+                  }>${player.name}</option>`
+              )
+              .join('')}
+          </select>
+          <input type="number" id="matchIndex-${i}" step="0.1" placeholder="Current index" value="${
+        row.index
+      }" />
+        </div>`
+    )
+    .join('');
+}
+
+function selectTeeSetForMatch() {
+  const teeSet = getTeeSet(document.getElementById('matchTeeSet').value);
+  if (!teeSet) return;
+
+  document.getElementById('matchHoles').value = teeSet.holes;
+  document.getElementById('matchPar').value = teeSet.par;
+  document.getElementById('matchRating').value = teeSet.rating;
+  document.getElementById('matchSlope').value = teeSet.slope;
+  document.getElementById('matchStrokeIndexes').value = teeSet.holeLayout
+    ? teeSet.holeLayout.map((hole) => hole.strokeIndex).join(', ')
+    : '';
+}
+
+// Optional - without stroke indexes only the handicaps are shown
+function readMatchStrokeIndexes(holes) {
+  const text = document.getElementById('matchStrokeIndexes').value.trim();
+  if (!text) return null;
+
+  const strokeIndexes = text.split(/[\s,]+/).map(Number);
+  if (
+    strokeIndexes.length !== holes ||
+    strokeIndexes.some((si) => !Number.isInteger(si) || si < 1 || si > 18) ||
+    new Set(strokeIndexes).size !== strokeIndexes.length
+  ) {
+    throw new Error('Enter one stroke index per hole');
+  }
+
+  return strokeIndexes;
+}
+
+// Players picked for the match with the index each one plays off
+function readMatchPlayers() {
+  const entries = [];
+
+  for (let i = 0; i < CONFIG.MATCH.MAX_PLAYERS; i++) {
+    const playerId = document.getElementById(`matchPlayer-${i}`).value;
+    const indexOverride = document
+      .getElementById(`matchIndex-${i}`)
+      .value.trim();
+    if (!playerId) continue;
+
+    if (entries.some((entry) => entry.playerId === playerId)) {
+      throw new Error('Each player can only be in the match once');
+    }
+
+    const currentIndex = calculateHandicap(
+      false,
+      getPlayerRounds(rounds, playerId)
+    );
+    const handicapIndex =
+      indexOverride !== ''
+        ? parseFloat(indexOverride)
+        : currentIndex && currentIndex.handicap;
+    if (handicapIndex === null || isNaN(handicapIndex)) {
+      throw new Error('No handicap index for a player');
+    }
+
+    entries.push({
+      playerId: playerId,
+      name: getPlayerName(playerId),
+      handicapIndex: handicapIndex,
+    });
+  }
+
+  if (entries.length < CONFIG.MATCH.MIN_PLAYERS) {
+    throw new Error('Pick at least two players for the match');
+  }
+
+  return entries;
+}
+
+function calculateMatchSetup() {
+  try {
+    const holes = parseInt(document.getElementById('matchHoles').value);
+    const par = parseInt(document.getElementById('matchPar').value);
+    const rating = parseFloat(document.getElementById('matchRating').value);
+    const slope = parseInt(document.getElementById('matchSlope').value);
+    const format =
+      CONFIG.FORMAT_ALLOWANCES[document.getElementById('matchFormat').value];
+
+    if (!par || !rating || !slope) {
+      throw new Error('Please enter rating, slope and par');
+    }
+    validateCourseRatings(holes, par, rating, slope);
+    const strokeIndexes = readMatchStrokeIndexes(holes);
+
+    const results = readMatchPlayers().map((entry) => ({
+      ...entry,
+      courseHandicap: calculateCourseHandicap(
+        entry.handicapIndex,
+        slope,
+        rating,
+        par,
+        holes
+      ),
+      playingHandicap: calculatePlayingHandicap(
+        entry.handicapIndex,
+        slope,
+        rating,
+        par,
+        holes,
+        format.allowance
+      ),
+    }));
+
+    const lowest = Math.min(...results.map((result) => result.playingHandicap));
+    results.forEach((result) => {
+      result.strokes = format.matchPlay
+        ? result.playingHandicap - lowest
+        : result.playingHandicap;
+      result.holeStrokes = strokeIndexes
+        ? allocateHandicapStrokes(result.strokes, strokeIndexes)
+        : null;
+    });
+
+    renderMatchSetup(results, strokeIndexes, format);
+  } catch (error) {
+    showError(error, 'Setting up match');
+  }
+}
+
+// Received strokes show as dots, strokes given back (plus handicaps) as "+"
+function formatHoleStrokes(strokes) {
+  if (strokes > 0) return '•'.repeat(strokes);
+  if (strokes < 0) return '+'.repeat(-strokes);
+  return '';
+}
+
+function renderMatchSetup(results, strokeIndexes, format) {
+  const container = document.getElementById('matchResult');
+
+  const summary = `
+    <table class="match-table">
+      <thead>
+        <tr>
+          <th>Player</th>
+          <th>Index</th>
+          <th>Course Handicap</th>
+          <th>Playing Handicap (${Math.round(format.allowance * 100)}%)</th>
+          <th>${format.matchPlay ? 'Strokes Received' : 'Strokes'}</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${results
+          .map(
+            (result) => `
+          <tr>
+            <td>${result.name}</td>
+            <td>${result.handicapIndex.toFixed(1)}</td>
+            <td>${formatHandicapStrokes(result.courseHandicap)}</td>
+            <td>${formatHandicapStrokes(result.playingHandicap)}</td>
+            <td>${formatHandicapStrokes(result.strokes)}</td>
+          </tr>`
+          )
+          .join('')}
+      </tbody>
+    </table>`;
+
+  if (!strokeIndexes) {
+    container.innerHTML = `${summary}
+      <p class="scorecard-hint">Enter the stroke indexes (or pick a saved course with a scorecard) to see which holes the strokes fall on.</p>`;
+    return;
+  }
+
+  container.innerHTML = `${summary}
+    <div class="scorecard-section">
+      <table class="scorecard-table">
+        <thead>
+          <tr>
+            <th>Hole</th>
+            ${strokeIndexes.map((_, i) => `<th>${i + 1}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <th>Stroke Index</th>
+            ${strokeIndexes.map((si) => `<td>${si}</td>`).join('')}
+          </tr>
+          ${results
+            .map(
+              (result) => `
+          <tr>
+            <th>${result.name}</th>
+            ${result.holeStrokes
+              .map((strokes) => `<td>${formatHoleStrokes(strokes)}</td>`)
+              .join('')}
+          </tr>`
+            )
+            .join('')}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+// ========================================
+// SCORECARD ENTRY
+// ========================================
+
+function isScorecardMode() {
+  const entryMode =
+    cachedElements.entryModeSelect || document.getElementById('entryMode');
+  return entryMode && entryMode.value === 'holes';
+}
+
+function toggleScorecardMode() {
+  const section =
+    cachedElements.scorecardSection ||
+    document.getElementById('scorecardSection');
+  const scorecardMode = isScorecardMode();
+
+  section.style.display = scorecardMode ? 'block' : 'none';
+
+  // Totals come from the card while it is in use
+  cachedElements.scoreInput.readOnly = scorecardMode;
+  cachedElements.parInput.readOnly = scorecardMode;
+
+  renderScorecard();
+}
+
+function renderScorecard() {
+  if (!isScorecardMode()) return;
+
+  const section =
+    cachedElements.scorecardSection ||
+    document.getElementById('scorecardSection');
+  const holes = parseInt(cachedElements.holesSelect.value);
+
+  if (![9, 18].includes(holes)) {
+    section.innerHTML =
+      '<p class="scorecard-hint">Select holes played to show the scorecard.</p>';
+    return;
+  }
+
+  const holeNumbers = Array.from({ length: holes }, (_, i) => i + 1);
+  const inputRow = (label, className, defaultValue) => `
+    <tr>
+      <th>${label}</th>
+      ${holeNumbers
+        .map(
+          (n) =>
+            `<td><input type="number" class="${className}" data-hole="${n}" value="${defaultValue}" /></td>`
+        )
+        .join('')}
+      <td class="scorecard-total" id="${className}-total"></td>
+    </tr>`;
+  const choiceRow = (label, className, yesLabel, noLabel) => `
+    <tr>
+      <th>${label}</th>
+      ${holeNumbers
+        .map(
+          (n) => `
+            <td><select class="${className}" data-hole="${n}">
+              <option value="">-</option>
+              <option value="yes">${yesLabel}</option>
+              <option value="no">${noLabel}</option>
+            </select></td>`
+        )
+        .join('')}
+      <td class="scorecard-total" id="${className}-total"></td>
+    </tr>`;
+
+  section.innerHTML = `
+    <table class="scorecard-table">
+      <thead>
+        <tr>
+          <th>Hole</th>
+          ${holeNumbers.map((n) => `<th>${n}</th>`).join('')}
+          <th>Total</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${inputRow('Par', 'sc-par', 4)}
+        ${inputRow('Stroke Index', 'sc-si', '')}
+        ${inputRow('Strokes', 'sc-strokes', '')}
+        <tr>
+          <th>Adjusted</th>
+          ${holeNumbers
+            .map((n) => `<td class="sc-adjusted" data-hole="${n}"></td>`)
+            .join('')}
+          <td class="scorecard-total" id="sc-adjusted-total"></td>
+        </tr>
+        ${choiceRow('Fairway', 'sc-fairway', 'Hit', 'Miss')}
+        ${choiceRow('Green in Reg.', 'sc-gir', 'Hit', 'Miss')}
+        ${inputRow('Putts', 'sc-putts', '')}
+        ${inputRow('Penalties', 'sc-penalties', '')}
+        ${choiceRow('Sand Save', 'sc-sand', 'Saved', 'Missed')}
+      </tbody>
+    </table>
+    <p class="scorecard-hint" id="scorecardHint"></p>
+    <p class="scorecard-hint">Fairways, greens, putts, penalties and sand saves are optional. Fairways only count on par 4s and 5s; mark a sand save only when a greenside bunker was played.</p>
+  `;
+
+  section.oninput = updateScorecardTotals;
+  applyHoleLayoutToScorecard();
+  updateScorecardTotals();
+}
+
+function getScorecardValues(className) {
+  return Array.from(
+    document.querySelectorAll(`#scorecardSection .${className}`)
+  ).map((input) => parseInt(input.value));
+}
+
+function updateScorecardTotals() {
+  // Nothing to total until a 9 or 18 hole card has been drawn
+  if (!document.getElementById('sc-par-total')) return;
+
+  const pars = getScorecardValues('sc-par');
+  const strokeIndexes = getScorecardValues('sc-si');
+  const strokes = getScorecardValues('sc-strokes');
+  const sum = (values) =>
+    values.reduce((total, value) => total + (value || 0), 0);
+
+  document.getElementById('sc-par-total').textContent = sum(pars) || '';
+  document.getElementById('sc-strokes-total').textContent = sum(strokes) || '';
+  ['sc-putts', 'sc-penalties'].forEach((className) => {
+    document.getElementById(`${className}-total`).textContent =
+      sum(getScorecardValues(className)) || '';
+  });
+  ['sc-fairway', 'sc-gir', 'sc-sand'].forEach((className) => {
+    const hits = getScorecardChoices(className).filter(
+      (choice) => choice === true
+    ).length;
+    document.getElementById(`${className}-total`).textContent = hits || '';
+  });
+  cachedElements.parInput.value = sum(pars) || '';
+  cachedElements.scoreInput.value = sum(strokes) || '';
+
+  const adjustedCells = document.querySelectorAll(
+    '#scorecardSection .sc-adjusted'
+  );
+  const adjustedTotal = document.getElementById('sc-adjusted-total');
+  const hint = document.getElementById('scorecardHint');
+  const complete = [...pars, ...strokeIndexes, ...strokes].every(
+    (value) => value > 0
+  );
+
+  if (!complete) {
+    adjustedCells.forEach((cell) => {
+      cell.textContent = '';
+      cell.classList.remove('sc-capped');
+    });
+    adjustedTotal.textContent = '';
+    hint.textContent =
+      'Adjusted scores appear once every hole has par, stroke index and strokes.';
+    return;
+  }
+
+  const courseHandicap = getFormCourseHandicap();
+  const adjustedHoles = calculateAdjustedHoles(
+    pars.map((par, i) => ({
+      par: par,
+      strokeIndex: strokeIndexes[i],
+      strokes: strokes[i],
+    })),
+    courseHandicap
+  );
+
+  adjustedHoles.forEach((hole, i) => {
+    adjustedCells[i].textContent = hole.adjusted;
+    adjustedCells[i].classList.toggle(
+      'sc-capped',
+      hole.adjusted < hole.strokes
+    );
+  });
+  adjustedTotal.textContent = adjustedHoles.reduce(
+    (total, hole) => total + hole.adjusted,
+    0
+  );
+  hint.textContent =
+    courseHandicap === null
+      ? 'No handicap index yet - each hole is capped at par + 5.'
+      : `Course handicap ${courseHandicap} - each hole is capped at net double bogey.`;
+}
+
+function getFormCourseHandicap() {
+  // A round being edited must not count towards its own course handicap
+  const handicapResult = calculateHandicap(
+    false,
+    getPlayerRounds().filter((round) => round.id !== editingRoundId)
+  );
+  const rating = parseFloat(cachedElements.ratingInput.value);
+  const slope = parseInt(cachedElements.slopeInput.value);
+  const par = parseInt(cachedElements.parInput.value);
+  const holes = parseInt(cachedElements.holesSelect.value);
+
+  if (!handicapResult || !rating || !slope || !par) return null;
+
+  return calculateCourseHandicap(
+    handicapResult.handicap,
+    slope,
+    rating,
+    par,
+    holes
+  );
+}
+
+function readScorecard() {
+  const pars = getScorecardValues('sc-par');
+  const strokeIndexes = getScorecardValues('sc-si');
+  const strokes = getScorecardValues('sc-strokes');
+
+  const incomplete = pars.some(
+    (par, i) =>
+      !(par >= 3 && par <= 6) ||
+      !(strokeIndexes[i] >= 1 && strokeIndexes[i] <= 18) ||
+      !(strokes[i] >= 1 && strokes[i] <= 20)
+  );
+  if (pars.length === 0 || incomplete) {
+    throw new Error('Please complete every hole on the scorecard');
+  }
+  if (new Set(strokeIndexes).size !== strokeIndexes.length) {
+    throw new Error('Stroke indexes must be unique');
+  }
+
+  const details = readHoleDetails(pars, strokes);
+
+  return pars.map((par, i) => ({
+    par: par,
+    strokeIndex: strokeIndexes[i],
+    strokes: strokes[i],
+    ...details[i],
+  }));
+}
+
+// Yes/no scorecard rows: true, false or null when left blank
+function getScorecardChoices(className) {
+  return Array.from(
+    document.querySelectorAll(`#scorecardSection .${className}`)
+  ).map((select) => (select.value === '' ? null : select.value === 'yes'));
+}
+
+// The optional per-hole detail. Only what was filled in is kept, so older
+// scorecards and holes left blank look the same.
+function readHoleDetails(pars, strokes) {
+  const fairways = getScorecardChoices('sc-fairway');
+  const greens = getScorecardChoices('sc-gir');
+  const sandSaves = getScorecardChoices('sc-sand');
+  const readCounts = (className) =>
+    Array.from(
+      document.querySelectorAll(`#scorecardSection .${className}`)
+    ).map((input) => (input.value.trim() === '' ? null : Number(input.value)));
+  const putts = readCounts('sc-putts');
+  const penalties = readCounts('sc-penalties');
+
+  return strokes.map((holeStrokes, i) => {
+    if (
+      [putts[i], penalties[i]].some(
+        (count) =>
+          count !== null &&
+          !(Number.isInteger(count) && count >= 0 && count <= holeStrokes)
+      ) ||
+      (putts[i] || 0) + (penalties[i] || 0) > holeStrokes
+    ) {
+      throw new Error('Putts and penalties must fit within the hole score');
+    }
+    // On the green with par minus two strokes at most, the rest were putts
+    if (
+      greens[i] === true &&
+      putts[i] !== null &&
+      holeStrokes - putts[i] > pars[i] - 2
+    ) {
+      throw new Error('Green in regulation does not match the putts');
+    }
+
+    const details = {
+      fairwayHit: fairways[i],
+      gir: greens[i],
+      putts: putts[i],
+      penalties: penalties[i],
+      sandSave: sandSaves[i],
+    };
+    return Object.fromEntries(
+      Object.entries(details).filter(([, value]) => value != null)
+    );
+  });
+}
+
+// ========================================
+// PLAYERS
+// ========================================
+//
+// One storage holds the rounds of everyone in the group. Each round carries
+// the id of its player; the handicap, stats and rounds table only ever look
+// at the selected player's rounds.
+
+function getRoundPlayerId(round) {
+  return round.playerId || CONFIG.DEFAULT_PLAYER.id;
+}
+
+function getPlayerRounds(roundList = rounds, playerId = currentPlayerId) {
+  return roundList.filter((round) => getRoundPlayerId(round) === playerId);
+}
+
+function getPlayer(playerId) {
+  return players.find((player) => player.id === playerId) || null;
+}
+
+function getPlayerName(playerId) {
+  const player = getPlayer(playerId);
+  return player ? player.name : playerId;
+}
+
+// Players and tee sets from the last visit, used until the backend answers
+function readCachedList(storageKey) {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey)) || [];
+  } catch (error) {
+    console.log('No local copy of', storageKey, error);
+    return [];
+  }
+}
+
+async function loadPlayers() {
+  try {
+    players = await retryOperation(getStorageAdapter().players.list);
+  } catch (error) {
+    console.error('Error loading players:', error);
+    players = readCachedList(CONFIG.STORAGE_KEYS.PLAYERS);
+  }
+
+  settlePlayers();
+}
+
+// Fills in players the rounds mention and picks who is shown
+function settlePlayers() {
+  // Rounds can name a player that isn't listed yet (the default player, or
+  // one added on a device that couldn't save the player row)
+  rounds.forEach((round) => {
+    const playerId = getRoundPlayerId(round);
+    if (!getPlayer(playerId)) {
+      players.push({
+        id: playerId,
+        name:
+          playerId === CONFIG.DEFAULT_PLAYER.id
+            ? CONFIG.DEFAULT_PLAYER.name
+            : playerId,
+      });
+    }
+  });
+  if (players.length === 0) {
+    players.push({ ...CONFIG.DEFAULT_PLAYER });
+  }
+  savePlayersCache();
+
+  const savedPlayerId = localStorage.getItem(
+    CONFIG.STORAGE_KEYS.CURRENT_PLAYER
+  );
+  currentPlayerId = getPlayer(savedPlayerId) ? savedPlayerId : players[0].id;
+}
+
+function savePlayersCache() {
+  try {
+    localStorage.setItem(CONFIG.STORAGE_KEYS.PLAYERS, JSON.stringify(players));
+  } catch (error) {
+    console.log('Could not cache players', error);
+  }
+}
+
+function renderPlayerSwitcher() {
+  const select = document.getElementById('playerSelect');
+  if (!select) return;
+
+  select.innerHTML = players
+    .map((player) => `<option value="${player.id}">${player.name}</option>`)
+    .join('');
+  select.value = currentPlayerId;
+}
+
+function switchPlayer(playerId) {
+  if (!getPlayer(playerId)) return;
+
+  // A round being edited belongs to the player we are leaving
+  if (editingRoundId) cancelEdit();
+
+  currentPlayerId = playerId;
+  localStorage.setItem(CONFIG.STORAGE_KEYS.CURRENT_PLAYER, playerId);
+  roundsTablePage = 1;
+  updateDisplay();
+}
+
+function readPlayerName(playerId) {
+  const name = document.getElementById('playerName').value.trim();
+
+  if (!name) {
+    throw new Error('Please enter a player name');
+  }
+  if (
+    players.some(
+      (player) =>
+        player.id !== playerId &&
+        normalizeName(player.name) === normalizeName(name)
+    )
+  ) {
+    throw new Error('There is already a player with that name');
+  }
+
+  return name;
+}
+
+async function addPlayer() {
+  try {
+    const player = { id: Date.now().toString(), name: readPlayerName(null) };
+
+    await retryOperation(() => getStorageAdapter().players.create(player));
+
+    players.push(player);
+    savePlayersCache();
+    document.getElementById('playerName').value = '';
+    switchPlayer(player.id);
+  } catch (error) {
+    showError(error, 'Adding player');
+  }
+}
+
+async function renameCurrentPlayer() {
+  try {
+    const player = getPlayer(currentPlayerId);
+    const renamed = { ...player, name: readPlayerName(player.id) };
+    const adapter = getStorageAdapter();
+
+    // Players filled in from their rounds have no stored row yet
+    const storedPlayers = await retryOperation(adapter.players.list);
+    if (storedPlayers.some((stored) => stored.id === player.id)) {
+      await retryOperation(() => adapter.players.update(renamed));
+    } else {
+      await retryOperation(() => adapter.players.create(renamed));
+    }
+
+    player.name = renamed.name;
+    savePlayersCache();
+    document.getElementById('playerName').value = '';
+    updateDisplay();
+  } catch (error) {
+    showError(error, 'Renaming player');
+  }
+}
+
+// ========================================
+// COURSE LIBRARY
+// ========================================
+
+async function loadCourseLibrary() {
+  try {
+    courseLibrary = await retryOperation(getStorageAdapter().courses.list);
+    saveCourseLibraryCache();
+  } catch (error) {
+    console.error('Error loading course library:', error);
+    courseLibrary = readCachedList(CONFIG.STORAGE_KEYS.COURSE_LIBRARY);
+  }
+
+  sortCourseLibrary();
+}
+
+function saveCourseLibraryCache() {
+  try {
+    localStorage.setItem(
+      CONFIG.STORAGE_KEYS.COURSE_LIBRARY,
+      JSON.stringify(courseLibrary)
+    );
+  } catch (error) {
+    console.log('Could not cache course library', error);
+  }
+}
+
+function sortCourseLibrary() {
+  courseLibrary.sort(
+    (a, b) =>
+      a.course.localeCompare(b.course) ||
+      a.holes - b.holes ||
+      b.rating - a.rating
+  );
+}
+
+function getTeeSet(teeSetId) {
+  return courseLibrary.find((teeSet) => teeSet.id === teeSetId) || null;
+}
+
+function normalizeName(name) {
+  return (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function findMatchingTeeSet(course, tees, holes) {
+  return (
+    courseLibrary.find(
+      (teeSet) =>
+        normalizeName(teeSet.course) === normalizeName(course) &&
+        normalizeName(teeSet.tees) === normalizeName(tees) &&
+        teeSet.holes === holes
+    ) || null
+  );
+}
+
+function readTeeSetForm() {
+  const course = document.getElementById('libCourse').value.trim();
+  const tees = document.getElementById('libTees').value.trim();
+  const courseType = document.getElementById('libCourseType').value;
+  const holes = parseInt(document.getElementById('libHoles').value);
+  const par = parseInt(document.getElementById('libPar').value);
+  const rating = parseFloat(document.getElementById('libRating').value);
+  const slope = parseInt(document.getElementById('libSlope').value);
+  const yardage = parseInt(document.getElementById('libYardage').value);
+
+  if (!course || !tees || !par || !rating || !slope) {
+    throw new Error('Please enter course, tees, rating, slope and par');
+  }
+  validateCourseRatings(holes, par, rating, slope);
+
+  return {
+    id: Date.now().toString(),
+    course: course,
+    tees: tees,
+    courseType: courseType,
+    holes: holes,
+    par: par,
+    rating: rating,
+    slope: slope,
+    yardage: yardage || null,
+    holeLayout: null,
+  };
+}
+
+async function addTeeSet() {
+  try {
+    const teeSet = readTeeSetForm();
+
+    if (findMatchingTeeSet(teeSet.course, teeSet.tees, teeSet.holes)) {
+      throw new Error('That tee set is already in the library');
+    }
+
+    await retryOperation(() => getStorageAdapter().courses.create(teeSet));
+
+    courseLibrary.push(teeSet);
+    sortCourseLibrary();
+    saveCourseLibraryCache();
+    updateCourseLibraryDisplay();
+
+    ['libTees', 'libPar', 'libRating', 'libSlope', 'libYardage'].forEach(
+      (id) => (document.getElementById(id).value = '')
+    );
+  } catch (error) {
+    showError(error, 'Saving tee set');
+  }
+}
+
+async function deleteTeeSet(teeSetId) {
+  if (!confirm('Remove this tee set from the course library?')) return;
+
+  try {
+    await retryOperation(() => getStorageAdapter().courses.remove(teeSetId));
+    courseLibrary = courseLibrary.filter((teeSet) => teeSet.id !== teeSetId);
+    saveCourseLibraryCache();
+    updateCourseLibraryDisplay();
+  } catch (error) {
+    showError(error, 'Deleting tee set');
+  }
+}
+
+// The first scorecard entered for a tee set fills in its pars and stroke
+// indexes, so later rounds there get them automatically
+async function rememberHoleLayout(teeSetId, scorecard) {
+  const teeSet = getTeeSet(teeSetId);
+  if (!teeSet || teeSet.holeLayout) return;
+
+  teeSet.holeLayout = scorecard.map((hole) => ({
+    par: hole.par,
+    strokeIndex: hole.strokeIndex,
+  }));
+  saveCourseLibraryCache();
+
+  try {
+    await retryOperation(() => getStorageAdapter().courses.update(teeSet));
+  } catch (error) {
+    console.warn('Could not save hole layout for tee set', teeSetId, error);
+  }
+}
+
+function populateTeeSetOptions(select) {
+  if (!select) return;
+
+  const selected = select.value;
+  const courses = {};
+  courseLibrary.forEach((teeSet) => {
+    courses[teeSet.course] = courses[teeSet.course] || [];
+    courses[teeSet.course].push(teeSet);
+  });
+
+  select.innerHTML =
+    '<option value="">-- Enter course manually --</option>' +
+    Object.entries(courses)
+      .map(
+        ([course, teeSets]) => `
+          <optgroup label="${course}">
+            ${teeSets
+              .map(
+                (teeSet) =>
+                  `<option value="${teeSet.id}">${teeSet.tees} · ${teeSet.holes} holes · ${teeSet.rating}/${teeSet.slope}</option>`
+              )
+              .join('')}
+          </optgroup>`
+      )
+      .join('');
+
+  select.value = getTeeSet(selected) ? selected : '';
+}
+
+function selectTeeSetForRound() {
+  const teeSet = getTeeSet(cachedElements.roundTeeSetSelect.value);
+  if (!teeSet) return;
+
+  cachedElements.courseInput.value = teeSet.course;
+  cachedElements.teesInput.value = teeSet.tees;
+  cachedElements.courseTypeSelect.value = teeSet.courseType;
+  cachedElements.holesSelect.value = teeSet.holes;
+  cachedElements.parInput.value = teeSet.par;
+  cachedElements.ratingInput.value = teeSet.rating;
+  cachedElements.slopeInput.value = teeSet.slope;
+
+  renderScorecard();
+}
+
+function selectTeeSetForCalculator() {
+  const teeSet = getTeeSet(document.getElementById('calcTeeSet').value);
+  if (!teeSet) return;
+
+  document.getElementById('calcHoles').value = teeSet.holes;
+  document.getElementById('calcPar').value = teeSet.par;
+  document.getElementById('calcRating').value = teeSet.rating;
+  document.getElementById('calcSlope').value = teeSet.slope;
+}
+
+// Fills pars and stroke indexes on the scorecard from the chosen tee set
+function applyHoleLayoutToScorecard() {
+  const teeSet = getTeeSet(
+    (cachedElements.roundTeeSetSelect || {}).value || ''
+  );
+  const pars = document.querySelectorAll('#scorecardSection .sc-par');
+  if (!teeSet || !teeSet.holeLayout || teeSet.holeLayout.length !== pars.length)
+    return;
+
+  const strokeIndexes = document.querySelectorAll('#scorecardSection .sc-si');
+  teeSet.holeLayout.forEach((hole, i) => {
+    pars[i].value = hole.par;
+    strokeIndexes[i].value = hole.strokeIndex;
+  });
+}
+
+// A round is only linked if the form still matches the chosen tee set
+function getLinkedTeeSetId(inputs) {
+  const teeSet = getTeeSet(
+    (cachedElements.roundTeeSetSelect || {}).value || ''
+  );
+  const chosen =
+    teeSet &&
+    normalizeName(teeSet.course) === normalizeName(inputs.course) &&
+    normalizeName(teeSet.tees) === normalizeName(inputs.tees) &&
+    teeSet.holes === inputs.holes
+      ? teeSet
+      : findMatchingTeeSet(inputs.course, inputs.tees, inputs.holes);
+
+  return chosen ? chosen.id : '';
+}
+
+function updateCourseLibraryDisplay() {
+  populateTeeSetOptions(cachedElements.roundTeeSetSelect);
+  populateTeeSetOptions(document.getElementById('calcTeeSet'));
+  populateTeeSetOptions(document.getElementById('matchTeeSet'));
+
+  const tbody = document.getElementById('courseLibraryBody');
+  if (tbody) {
+    tbody.innerHTML = courseLibrary
+      .map((teeSet) => {
+        const linkedRounds = rounds.filter(
+          (round) => round.teeSetId === teeSet.id
+        ).length;
+        return `
+          <tr>
+            <td>${teeSet.course}</td>
+            <td>${teeSet.tees}</td>
+            <td><span class="course-type-${
+              teeSet.courseType
+            }">${getCourseTypeDisplay(teeSet.courseType)}</span></td>
+            <td>${teeSet.holes}</td>
+            <td>${teeSet.par}</td>
+            <td>${teeSet.rating}</td>
+            <td>${teeSet.slope}</td>
+            <td>${teeSet.yardage || ''}</td>
+            <td>${linkedRounds}</td>
+            <td><button class="delete-btn" onclick="deleteTeeSet('${
+              teeSet.id
+            }')">Delete</button></td>
+          </tr>`;
+      })
+      .join('');
+  }
+
+  renderLinkRoundsTool();
+}
+
+// ========================================
+// LINK EXISTING ROUNDS TO THE LIBRARY
+// ========================================
+
+function renderLinkRoundsTool() {
+  const container = document.getElementById('linkRoundsSection');
+  if (!container) return;
+
+  const groups = {};
+  rounds
+    .filter((round) => !getTeeSet(round.teeSetId) && !isQuarantined(round))
+    .forEach((round) => {
+      const key = `${normalizeName(round.course)}|${normalizeName(
+        round.tees
+      )}|${round.holes}`;
+      groups[key] = groups[key] || {
+        course: round.course,
+        tees: round.tees,
+        holes: round.holes,
+        roundIds: [],
+      };
+      groups[key].roundIds.push(round.id);
+    });
+  unlinkedRoundGroups = Object.values(groups);
+
+  if (courseLibrary.length === 0 || unlinkedRoundGroups.length === 0) {
+    container.innerHTML =
+      '<p class="scorecard-hint">All rounds are linked to the course library.</p>';
+    return;
+  }
+
+  container.innerHTML = unlinkedRoundGroups
+    .map((group, i) => {
+      return `
+        <div class="link-rounds-row">
+          <span>${group.course} (${group.tees || 'no tees'}, ${
+        group.holes
+      } holes) - ${group.roundIds.length} round${
+        group.roundIds.length === 1 ? '' : 's'
+      }</span>
+          <select id="linkTeeSet-${i}"></select>
+          <button onclick="linkRoundGroup(${i})">Link</button>
+        </div>`;
+    })
+    .join('');
+
+  unlinkedRoundGroups.forEach((group, i) => {
+    const select = document.getElementById(`linkTeeSet-${i}`);
+    populateTeeSetOptions(select);
+    const match = findMatchingTeeSet(group.course, group.tees, group.holes);
+    select.value = match ? match.id : '';
+  });
+}
+
+// Linking also fixes course/tees spelling so typos stop splitting courses.
+// Ratings stay as entered - they may have changed since the round was played.
+async function linkRoundGroup(groupIndex) {
+  const group = unlinkedRoundGroups[groupIndex];
+  const teeSet = getTeeSet(
+    document.getElementById(`linkTeeSet-${groupIndex}`).value
+  );
+  if (!group || !teeSet) return;
+
+  try {
+    for (const roundId of group.roundIds) {
+      const round = rounds.find((r) => r.id === roundId);
+      if (!round) continue;
+
+      Object.assign(round, {
+        teeSetId: teeSet.id,
+        course: teeSet.course,
+        tees: teeSet.tees,
+        courseType: teeSet.courseType,
+      });
+
+      await commitRoundChange('update', round);
+    }
+  } catch (error) {
+    showError(error, 'Linking rounds');
+  } finally {
+    updateDisplay();
+  }
+}
+
+// ========================================
+// IMPORT ROUNDS (CSV / JSON)
+// ========================================
+//
+// Four steps: read the file, map its columns onto round fields, preview
+// every row with its validation result, then upload the accepted rows.
+
+// Round fields an import can fill. Required ones must be mapped; the rest
+// fall back to what the round form would use.
+const IMPORT_FIELDS = {
+  date: { label: 'Date', required: true },
+  course: { label: 'Course', required: true },
+  tees: { label: 'Tees', required: true },
+  courseType: { label: 'Course Type', required: false },
+  holes: { label: 'Holes', required: true },
+  score: { label: 'Score', required: true },
+  par: { label: 'Par', required: true },
+  rating: { label: 'Course Rating', required: true },
+  slope: { label: 'Slope', required: true },
+  adjScore: { label: 'Adjusted Score', required: false },
+  pcc: { label: 'PCC', required: false },
+  includeInHandicap: { label: 'Include in Handicap', required: false },
+};
+
+// Splits CSV text into rows of cells, allowing quoted cells with commas,
+// doubled quotes and line breaks inside them
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+// Both formats end up as a list of header -> value objects
+function parseImportFile(fileName, text) {
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+    const data = JSON.parse(text);
+    const records = Array.isArray(data) ? data : data.rounds;
+    if (!Array.isArray(records)) {
+      throw new Error('Could not read import file');
+    }
+
+    const headers = [
+      ...new Set(records.flatMap((record) => Object.keys(record))),
+    ];
+    return { headers: headers, records: records };
+  }
+
+  const [headers, ...rows] = parseCsv(text);
+  if (!headers) {
+    throw new Error('Could not read import file');
+  }
+
+  return {
+    headers: headers.map((header) => header.trim()),
+    records: rows.map((cells) =>
+      Object.fromEntries(
+        headers.map((header, i) => [header.trim(), (cells[i] || '').trim()])
+      )
+    ),
+  };
+}
+
+function readImportFile(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      importState = {
+        ...parseImportFile(file.name, e.target.result),
+        preview: [],
+      };
+      renderImportMapping();
+    } catch (error) {
+      console.error(error);
+      showError(new Error('Could not read import file'), 'Importing rounds');
+    }
+  };
+  reader.readAsText(file);
+}
+
+// Picks the column whose name matches the field, ignoring case, spaces and
+// punctuation ("Course Rating" or "course_rating" both find `rating`)
+function guessImportColumn(field, headers) {
+  const simplify = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const candidates = [simplify(field), simplify(IMPORT_FIELDS[field].label)];
+  return headers.find((header) => candidates.includes(simplify(header))) || '';
+}
+
+function renderImportMapping() {
+  const container = document.getElementById('importMapping');
+  const options = importState.headers
+    .map(
+      (header) =>
+        `<option value="${escapeHtml(header)}">${escapeHtml(header)}</option>`
+    )
+    .join('');
+
+  container.innerHTML = Object.entries(IMPORT_FIELDS)
+    .map(
+      ([field, info]) => `
+        <div class="input-group">
+          <label for="importMap-${field}">${info.label}${
+        info.required ? ' *' : ''
+      }:</label>
+          <select id="importMap-${field}">
+            <option value="">-- Not in file --</option>
+            ${options}
+          </select>
+        </div>`
+    )
+    .join('');
+
+  Object.keys(IMPORT_FIELDS).forEach((field) => {
+    document.getElementById(`importMap-${field}`).value = guessImportColumn(
+      field,
+      importState.headers
+    );
+  });
+
+  document.getElementById('importPreview').innerHTML = '';
+  document.getElementById('importControls').style.display = 'block';
+  document.getElementById('importRoundsBtn').style.display = 'none';
+  document.getElementById(
+    'importSummary'
+  ).textContent = `${importState.records.length} rows found. Check the columns, then preview.`;
+}
+
+function getImportMapping() {
+  const mapping = {};
+  Object.keys(IMPORT_FIELDS).forEach((field) => {
+    mapping[field] = document.getElementById(`importMap-${field}`).value;
+  });
 
-    // Original 9-hole conversion logic
-    let adjScore = inputs.score;
-    let adjPar = inputs.par;
+  const missing = Object.keys(IMPORT_FIELDS).filter(
+    (field) => IMPORT_FIELDS[field].required && !mapping[field]
+  );
+  if (missing.length > 0) {
+    throw new Error('Map every required column before previewing');
+  }
 
-    if (inputs.holes === 9) {
-      adjScore = inputs.score * 2;
-      adjPar = inputs.par * 2;
-    }
+  return mapping;
+}
 
-    // Original differential calculation
-    const differential = ((adjScore - inputs.rating) * 113) / inputs.slope;
+// Accepts the date formats spreadsheets usually export
+function normalizeImportDate(value) {
+  const text = String(value ?? '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
 
-    // UPDATED: Include tees in round object
-    const round = {
-      id: Date.now().toString(),
-      date: inputs.date,
-      course: inputs.course,
-      tees: inputs.tees, // NEW: Add tees field
-      courseType: inputs.courseType,
-      includeInHandicap: includeInHandicap,
-      holes: inputs.holes,
-      score: inputs.score,
-      par: inputs.par,
-      adjScore: adjScore,
-      rating: inputs.rating,
-      slope: inputs.slope,
-      differential: parseFloat(differential.toFixed(2)),
-    };
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (us) {
+    return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+  }
 
-    await retryOperation(() => saveRoundToSheet(round));
+  throw new Error('Date must be YYYY-MM-DD or MM/DD/YYYY');
+}
 
-    rounds.push(round);
-    rounds.sort((a, b) => new Date(b.date) - new Date(a.date));
+// "Par 3", "par3" and "PAR-3" all mean the par3 course type
+function normalizeImportCourseType(value) {
+  const simplified = String(value ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+  if (!simplified) return 'regulation';
 
-    updateDisplay();
-    clearForm();
-  } catch (error) {
-    showError(error, 'Adding round');
-  } finally {
-    addButton.textContent = originalText;
-    addButton.disabled = false;
-  }
+  const match = Object.entries(CONFIG.COURSE_TYPES).find(
+    ([key, label]) =>
+      key === simplified ||
+      label.toLowerCase().replace(/[^a-z0-9]/g, '') === simplified
+  );
+  return match ? match[0] : simplified;
 }
 
-async function deleteRound(id) {
-  if (confirm('Are you sure you want to delete this round?')) {
-    try {
-      await retryOperation(() => deleteRoundFromSheet(id));
-      rounds = rounds.filter((round) => round.id !== id);
-      updateDisplay();
-    } catch (error) {
-      showError(error, 'Deleting round');
-    }
-  }
+function getRoundDuplicateKey(round) {
+  return [
+    getRoundPlayerId(round),
+    round.date,
+    normalizeName(round.course),
+    normalizeName(round.tees),
+    round.holes,
+    round.score,
+  ].join('|');
 }
 
-// ========================================
-// SHEETDB API FUNCTIONS
-// ========================================
+// Turns one mapped row into a round, using the round form's rules
+function buildRoundFromImport(record, mapping, roundId) {
+  const value = (field) => (mapping[field] ? record[mapping[field]] : '');
 
-async function saveRoundToSheet(round) {
-  const response = await fetch(SHEETDB_API_URL, {
-    method: 'POST',
-    headers: {
-      Accept: 'application/json',
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      data: [round],
-    }),
+  const inputs = validateRoundFields({
+    date: normalizeImportDate(value('date')),
+    course: value('course'),
+    tees: value('tees'),
+    holes: value('holes'),
+    score: value('score'),
+    par: value('par'),
+    rating: value('rating'),
+    slope: value('slope'),
+    courseType: normalizeImportCourseType(value('courseType')),
   });
 
-  if (!response.ok) {
-    throw new Error('Failed to save round to sheet');
-  }
+  const adjScore = parseInt(value('adjScore'));
+  const pcc = parseInt(value('pcc'));
+  const teeSet = findMatchingTeeSet(inputs.course, inputs.tees, inputs.holes);
+  const courseHandicap = parseNullableInt(record.courseHandicap);
+  const scorecard = readImportedScorecard(record, inputs, courseHandicap);
+  const playingHandicap = parseNullableInt(record.playingHandicap);
+  const scoringFormat =
+    scorecard &&
+    isPointsFormat(record.scoringFormat) &&
+    playingHandicap !== null
+      ? record.scoringFormat
+      : 'strokePlay';
 
-  return response.json();
+  const round = {
+    id: roundId,
+    playerId: currentPlayerId,
+    ...inputs,
+    includeInHandicap:
+      String(value('includeInHandicap')).trim().toLowerCase() !== 'false',
+    // Hole scores are capped as on the round form; without them the gross
+    // score stands in
+    adjScore: scorecard
+      ? scorecard.reduce((sum, hole) => sum + hole.adjusted, 0)
+      : adjScore > 0
+      ? adjScore
+      : inputs.score,
+    pcc: Math.min(
+      CONFIG.PCC.MAX,
+      Math.max(CONFIG.PCC.MIN, Number.isNaN(pcc) ? 0 : pcc)
+    ),
+    pccSource: Number.isNaN(pcc) ? '' : 'manual',
+    courseHandicap: scorecard ? courseHandicap : null,
+    scorecard: scorecard,
+    shots: keepFittingShots(parseJsonArray(record.shots), scorecard),
+    scoringFormat: scoringFormat,
+    playingHandicap: isPointsFormat(scoringFormat) ? playingHandicap : null,
+    points: isPointsFormat(scoringFormat)
+      ? calculateRoundPoints(scoringFormat, scorecard, playingHandicap)
+      : null,
+    teeSetId: teeSet ? teeSet.id : '',
+    schemaVersion: CONFIG.ROUND_SCHEMA_VERSION,
+    revision: 0,
+    updatedAt: '',
+  };
+  round.differential = calculateRoundDifferential(round);
+
+  return round;
 }
 
-async function loadRoundsFromSheet() {
-  const response = await fetch(SHEETDB_API_URL);
+// JSON exports carry the scorecard (CSV ones don't). It has to be complete
+// and add up to the imported score to be kept.
+function readImportedScorecard(record, inputs, courseHandicap) {
+  const holes = parseJsonArray(record.scorecard);
+  if (!holes) return null;
 
-  if (!response.ok) {
-    throw new Error('Failed to load rounds from sheet');
+  const isWhole = (value, min, max) =>
+    Number.isInteger(value) && value >= min && value <= max;
+  const sound =
+    holes.length === inputs.holes &&
+    holes.every(
+      (hole) =>
+        isWhole(hole.par, 3, 6) &&
+        isWhole(hole.strokeIndex, 1, 18) &&
+        isWhole(hole.strokes, 1, 20)
+    ) &&
+    new Set(holes.map((hole) => hole.strokeIndex)).size === holes.length &&
+    holes.reduce((sum, hole) => sum + hole.strokes, 0) === inputs.score;
+  if (!sound) {
+    throw new Error('The scorecard does not match the score');
   }
 
-  const data = await response.json();
+  return calculateAdjustedHoles(holes, courseHandicap);
+}
 
-  if (!data || data.length === 0) {
-    console.log('No rounds found in Google Sheet');
-    return [];
-  }
+function previewImport() {
+  try {
+    const mapping = getImportMapping();
+    const seen = new Set(rounds.map(getRoundDuplicateKey));
+    const idBase = Date.now();
 
-  // UPDATED: Include tees in data conversion
-  return data.map((round) => {
-    const convertedRound = {
-      ...round,
-      holes: parseInt(round.holes) || 0,
-      score: parseInt(round.score) || 0,
-      par: parseInt(round.par) || 0,
-      adjScore: parseInt(round.adjScore) || 0,
-      rating: parseFloat(round.rating) || 0,
-      slope: parseInt(round.slope) || 0,
-      differential: parseFloat(round.differential) || 0,
-      courseType: round.courseType || 'regulation',
-      includeInHandicap: round.includeInHandicap === 'false' ? false : true,
-      tees: round.tees || '', // NEW: Handle tees field with fallback
-    };
+    importState.preview = importState.records.map((record, i) => {
+      try {
+        const round = buildRoundFromImport(
+          record,
+          mapping,
+          `${idBase}-${i + 1}`
+        );
+        const key = getRoundDuplicateKey(round);
+        if (seen.has(key)) {
+          return { line: i + 2, round: round, status: 'duplicate' };
+        }
 
-    return convertedRound;
-  });
+        seen.add(key);
+        return { line: i + 2, round: round, status: 'ok' };
+      } catch (error) {
+        return { line: i + 2, record: record, status: 'error', error: error };
+      }
+    });
+
+    renderImportPreview(mapping);
+  } catch (error) {
+    showError(error, 'Previewing import');
+  }
 }
 
-async function deleteRoundFromSheet(id) {
-  const response = await fetch(`${SHEETDB_API_URL}/id/${id}`, {
-    method: 'DELETE',
-  });
+function renderImportPreview(mapping) {
+  const counts = { ok: 0, duplicate: 0, error: 0 };
+  importState.preview.forEach((row) => counts[row.status]++);
 
-  if (!response.ok) {
-    throw new Error('Failed to delete round from sheet');
-  }
+  const rowsHtml = importState.preview
+    .map((row) => {
+      // Rows that failed validation show the raw values from the file
+      const source = row.round || {};
+      const raw = (field) =>
+        row.round ? source[field] : row.record[mapping[field]] || '';
+      const status =
+        row.status === 'ok'
+          ? 'Ready'
+          : row.status === 'duplicate'
+          ? 'Duplicate - skipped'
+          : row.error.message;
 
-  return response.json();
+      return `
+        <tr class="import-${row.status}">
+          <td>${row.line}</td>
+          <td>${escapeHtml(raw('date'))}</td>
+          <td>${escapeHtml(raw('course'))}</td>
+          <td>${escapeHtml(raw('tees'))}</td>
+          <td>${escapeHtml(raw('holes'))}</td>
+          <td>${escapeHtml(raw('score'))}</td>
+          <td>${row.round ? row.round.differential.toFixed(1) : ''}</td>
+          <td>${escapeHtml(status)}</td>
+        </tr>`;
+    })
+    .join('');
+
+  document.getElementById('importPreview').innerHTML = `
+    <div class="table-wrapper">
+      <table class="import-table">
+        <thead>
+          <tr>
+            <th>Row</th><th>Date</th><th>Course</th><th>Tees</th>
+            <th>Holes</th><th>Score</th><th>Diff</th><th>Status</th>
+          </tr>
+        </thead>
+        <tbody>${rowsHtml}</tbody>
+      </table>
+    </div>`;
+
+  document.getElementById(
+    'importSummary'
+  ).textContent = `${counts.ok} ready, ${counts.duplicate} duplicates, ${counts.error} with errors.`;
+
+  const button = document.getElementById('importRoundsBtn');
+  button.style.display = counts.ok > 0 ? 'inline-block' : 'none';
+  button.textContent = `Import ${counts.ok} Round${counts.ok === 1 ? '' : 's'}`;
 }
 
-async function loadRounds() {
+// Uploads in one go where the backend allows it. Offline, the rounds are
+// queued like any other new round instead.
+async function importRounds() {
+  const button = document.getElementById('importRoundsBtn');
+  const accepted = importState.preview
+    .filter((row) => row.status === 'ok')
+    .map((row) => row.round);
+
   try {
-    if (cachedElements.handicapDisplay) {
-      cachedElements.handicapDisplay.textContent = 'Loading...';
+    if (accepted.length === 0) {
+      throw new Error('Nothing to import');
     }
 
-    rounds = await retryOperation(loadRoundsFromSheet);
+    button.disabled = true;
+    button.textContent = 'Importing...';
+
+    // Queued like any new round - the sync queue sends them in batches and a
+    // failure part way through carries on from the batch that failed
+    rounds.push(...accepted);
     rounds.sort((a, b) => new Date(b.date) - new Date(a.date));
+    accepted.forEach((round) => enqueueRoundOp('create', round));
+    saveRoundsLocally();
+    updateDisplay();
 
-    console.log(
-      'Successfully loaded',
-      rounds.length,
-      'rounds from Google Sheets'
-    );
-  } catch (error) {
-    console.error('Error loading rounds:', error);
-    rounds = [];
+    await processSyncQueue();
+    const waiting = accepted.filter((round) =>
+      getRoundSyncState(round.id)
+    ).length;
 
-    try {
-      const savedRounds = localStorage.getItem('golfRounds');
-      if (savedRounds) {
-        rounds = JSON.parse(savedRounds);
-        rounds.sort((a, b) => new Date(b.date) - new Date(a.date));
-        console.log(
-          'Loaded rounds from localStorage backup:',
-          rounds.length,
-          'rounds'
-        );
-      }
-    } catch (localError) {
-      console.log('No local backup available', localError);
-    }
+    document.getElementById('importSummary').textContent = `Imported ${
+      accepted.length
+    } round${accepted.length === 1 ? '' : 's'}${
+      waiting ? ` - ${waiting} still waiting to sync` : ''
+    }.`;
+    importState.preview = [];
+    document.getElementById('importPreview').innerHTML = '';
+    button.style.display = 'none';
+  } catch (error) {
+    showError(error, 'Importing rounds');
+  } finally {
+    button.disabled = false;
   }
 }
 
 // ========================================
-// HANDICAP CALCULATION (UNCHANGED)
+// EXPORT AND PRINTABLE HANDICAP REPORT
 // ========================================
 
-function calculateHandicap(regulationOnly = false) {
-  if (rounds.length === 0) return null;
+// Columns in the CSV export, in order. Computed ones come from
+// getExportRounds().
+const EXPORT_COLUMNS = [
+  'date',
+  'course',
+  'tees',
+  'courseType',
+  'holes',
+  'score',
+  'par',
+  'adjScore',
+  'rating',
+  'slope',
+  'pcc',
+  'differential',
+  'scoringFormat',
+  'points',
+  'includeInHandicap',
+  'countsInIndex',
+  'indexAfterRound',
+];
 
-  let handicapRounds = rounds.filter((round) => round.includeInHandicap);
+// The filtered rounds plus what the table works out for each one: whether
+// it is among the scores making up the current index, and the index the
+// score produced (9-hole rounds show it once their pair is complete)
+function getExportRounds() {
+  const handicapResult = calculateHandicap(false);
+  const countingIds = handicapResult ? handicapResult.countingRoundIds : [];
 
-  if (regulationOnly) {
-    handicapRounds = handicapRounds.filter(
-      (round) => round.courseType === 'regulation'
+  return getFilteredRounds().map((round) => {
+    const revision = handicapHistory.all.find((entry) =>
+      String(entry.recordId).split('+').includes(round.id)
     );
-  }
 
-  if (handicapRounds.length === 0) return null;
+    return {
+      ...round,
+      countsInIndex: countingIds.includes(round.id),
+      indexAfterRound: revision ? revision.handicap : null,
+    };
+  });
+}
+
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadFile(fileName, mimeType, content) {
+  const dataUri = `data:${mimeType};charset=utf-8,${encodeURIComponent(
+    content
+  )}`;
+
+  const linkElement = document.createElement('a');
+  linkElement.setAttribute('href', dataUri);
+  linkElement.setAttribute('download', fileName);
+  linkElement.click();
+}
+
+function getExportFileName(extension) {
+  return `golf_rounds_${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
 
-  const sortedRounds = [...handicapRounds].sort(
-    (a, b) => a.differential - b.differential
+function exportRoundsCsv() {
+  const lines = getExportRounds().map((round) =>
+    EXPORT_COLUMNS.map((column) => toCsvCell(round[column])).join(',')
   );
 
-  let roundsToUse;
-  if (handicapRounds.length >= 20) {
-    roundsToUse = 8;
-  } else if (handicapRounds.length >= 10) {
-    roundsToUse = Math.floor(handicapRounds.length * 0.4);
-  } else if (handicapRounds.length >= 5) {
-    roundsToUse = Math.floor(handicapRounds.length * 0.3);
-  } else {
-    roundsToUse = Math.min(1, handicapRounds.length);
+  downloadFile(
+    getExportFileName('csv'),
+    'text/csv',
+    [EXPORT_COLUMNS.join(','), ...lines].join('\n')
+  );
+}
+
+// JSON keeps everything, scorecards included, so it can be imported again
+function exportRoundsJson() {
+  downloadFile(
+    getExportFileName('json'),
+    'application/json',
+    JSON.stringify(getExportRounds(), null, 2)
+  );
+}
+
+// The 20 most recent scores behind an index, newest first
+function getScoringRecordRows(regulationOnly) {
+  const handicapResult = calculateHandicap(regulationOnly);
+  if (!handicapResult) return [];
+
+  const handicapRounds = getPlayerRounds().filter(
+    (round) =>
+      countsTowardHandicap(round) &&
+      (!regulationOnly || round.courseType === 'regulation')
+  );
+
+  return sortRoundsByDateDesc(buildScoringRecords(handicapRounds))
+    .slice(0, CONFIG.HANDICAP_RULES.MAX_SCORES)
+    .map((record) => {
+      const recordRounds = record.roundIds.map((id) =>
+        rounds.find((round) => round.id === id)
+      );
+      return {
+        date: record.date,
+        course: recordRounds.map((round) => round.course).join(' + '),
+        tees: recordRounds.map((round) => round.tees).join(' + '),
+        differential: record.differential,
+        counts: record.roundIds.some((id) =>
+          handicapResult.countingRoundIds.includes(id)
+        ),
+      };
+    });
+}
+
+function buildReportIndexSection(title, regulationOnly) {
+  const handicapResult = calculateHandicap(regulationOnly);
+  if (!handicapResult) {
+    return `<h2>${title}</h2><p>Not enough scores for an index yet.</p>`;
   }
 
-  const bestDifferentials = sortedRounds.slice(0, roundsToUse);
-  const avgDifferential =
-    bestDifferentials.reduce((sum, round) => sum + round.differential, 0) /
-    roundsToUse;
+  const rows = getScoringRecordRows(regulationOnly)
+    .map(
+      (row) => `
+        <tr class="${row.counts ? 'counting-diff' : ''}">
+          <td>${formatDateForDisplay(row.date)}</td>
+          <td>${row.course}</td>
+          <td>${row.tees}</td>
+          <td>${row.differential.toFixed(1)}</td>
+          <td>${row.counts ? 'Yes' : ''}</td>
+        </tr>`
+    )
+    .join('');
 
-  return {
-    handicap: avgDifferential * 0.96,
-    roundsUsed: roundsToUse,
-    totalHandicapRounds: handicapRounds.length,
+  return `
+    <h2>${title}</h2>
+    <p class="report-index">Handicap Index: <strong>${handicapResult.handicap.toFixed(
+      1
+    )}</strong> - best ${handicapResult.roundsUsed} of ${
+    handicapResult.totalHandicapRounds
+  } most recent scores${
+    handicapResult.lowIndex !== null
+      ? `, Low Handicap Index ${handicapResult.lowIndex.toFixed(1)}`
+      : ''
+  }</p>
+    <table>
+      <thead>
+        <tr><th>Date</th><th>Course</th><th>Tees</th><th>Diff</th><th>Counts</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// Reuses the numbers the stats cards already show
+function buildReportStatsSection(title, prefix) {
+  const stat = (id) => {
+    const element = document.getElementById(
+      prefix ? `${prefix}${id[0].toUpperCase()}${id.slice(1)}` : id
+    );
+    return element ? element.textContent : '--';
   };
+
+  return `
+    <h3>${title}</h3>
+    <table>
+      <tr><th>Total Rounds</th><th>Average Score</th><th>Best Score</th><th>Recent Trend</th></tr>
+      <tr><td>${stat('totalRounds')}</td><td>${stat('avgScore')}</td><td>${stat(
+    'bestScore'
+  )}</td><td>${stat('recentTrend')}</td></tr>
+    </table>`;
+}
+
+function printHandicapReport() {
+  const report = document.getElementById('handicapReport');
+  updateStats();
+
+  report.innerHTML = `
+    <h1>Handicap Report: ${getPlayerName(currentPlayerId)}</h1>
+    <p>Prepared ${formatDateForDisplay(
+      new Date().toISOString().slice(0, 10)
+    )}</p>
+    ${buildReportIndexSection('All Courses', false)}
+    ${buildReportIndexSection('Regulation Courses Only', true)}
+    <h2>Recent Statistics</h2>
+    ${buildReportStatsSection('All Courses', '')}
+    ${buildReportStatsSection('Regulation Courses Only', 'regulation')}`;
+
+  window.print();
 }
 
 // ========================================
@@ -407,9 +5884,19 @@ function calculateHandicap(regulationOnly = false) {
 // ========================================
 
 function updateDisplay() {
+  renderPlayerSwitcher();
+  renderMatchPlayers();
+  updateHandicapHistory();
   updateRoundsTable();
   updateHandicapDisplay();
   updateStats();
+  populateShotRoundOptions();
+  updateStrokesGained();
+  renderHandicapChart();
+  updateCourseLibraryDisplay();
+  renderSyncConflicts();
+  renderMigrationReport();
+  renderNeedsAttention();
 }
 
 function formatDateForDisplay(dateString) {
@@ -433,37 +5920,69 @@ function updateRoundsTable() {
   updateSortIndicators();
   tbody.innerHTML = '';
 
-  if (rounds.length === 0) {
+  const filteredRounds = getFilteredRounds();
+  const pageCount = Math.max(
+    1,
+    Math.ceil(filteredRounds.length / CONFIG.TABLE_PAGE_SIZE)
+  );
+  roundsTablePage = Math.min(roundsTablePage, pageCount);
+  updateRoundsPager(filteredRounds.length, pageCount);
+
+  if (filteredRounds.length === 0) {
     return;
   }
 
   const fragment = document.createDocumentFragment();
+  const handicapResult = calculateHandicap(false);
+  const nineHolePairs = getNineHolePairs();
+
+  // Only the rows on the current page are built
+  const pageStart = (roundsTablePage - 1) * CONFIG.TABLE_PAGE_SIZE;
+  const pageRounds = filteredRounds.slice(
+    pageStart,
+    pageStart + CONFIG.TABLE_PAGE_SIZE
+  );
 
   // UPDATED: Include tees in table row
-  rounds.forEach((round) => {
+  pageRounds.forEach((round) => {
     const row = document.createElement('tr');
+    const syncState = getRoundSyncState(round.id);
+    if (syncState) row.classList.add(`sync-${syncState}`);
+    if (isQuarantined(round)) row.classList.add('needs-attention');
     row.innerHTML = `
-      <td>${formatDateForDisplay(round.date)}</td>
+      <td>${formatDateForDisplay(round.date)}${formatSyncBadge(syncState)}</td>
       <td>${round.course || ''}</td>
       <td>${round.tees || ''}</td>
       <td><span class="course-type-${
         round.courseType || 'regulation'
       }">${getCourseTypeDisplay(round.courseType || 'regulation')}</span></td>
-      <td>${round.holes || ''}</td>
+      <td>${formatHolesCell(round, nineHolePairs)}</td>
       <td>${round.score || ''}</td>
       <td>${round.par || ''}</td>
-      <td>${round.adjScore || ''}</td>
-      <td>${
-        round.differential ? parseFloat(round.differential).toFixed(1) : ''
-      }</td>
+      <td class="${
+        round.scorecard && round.scorecard.some((h) => h.adjusted < h.strokes)
+          ? 'ndb-adjusted'
+          : ''
+      }" title="${
+      round.scorecard ? 'Adjusted hole-by-hole to net double bogey' : ''
+    }">${round.adjScore || ''}</td>
+      ${formatDifferentialCell(round, handicapResult)}
+      <td>${getScoringFormatDisplay(round.scoringFormat)}</td>
+      <td title="${
+        round.playingHandicap === null
+          ? ''
+          : `Playing handicap ${formatHandicapStrokes(round.playingHandicap)}`
+      }">${formatRoundPoints(round)}</td>
       <td><button class="toggle-handicap-btn ${
         round.includeInHandicap ? 'included' : 'excluded'
       }" onclick="toggleHandicapInclusion('${round.id}')">${
       round.includeInHandicap ? 'Yes' : 'No'
     }</button></td>
-      <td><button class="delete-btn" onclick="deleteRound('${
+      <td><button class="edit-btn" onclick="editRound('${
         round.id
-      }')">Delete</button></td>
+      }')">Edit</button> <button class="delete-btn" onclick="deleteRound('${
+      round.id
+    }')">Delete</button></td>
     `;
     fragment.appendChild(row);
   });
@@ -471,6 +5990,154 @@ function updateRoundsTable() {
   tbody.appendChild(fragment);
 }
 
+function updateRoundsPager(roundCount, pageCount) {
+  const pager = document.getElementById('roundsPager');
+  if (!pager) return;
+
+  if (pageCount <= 1) {
+    pager.innerHTML = '';
+    return;
+  }
+
+  pager.innerHTML = `
+    <button onclick="setRoundsTablePage(${roundsTablePage - 1})" ${
+    roundsTablePage === 1 ? 'disabled' : ''
+  }>‹ Previous</button>
+    <span>Page ${roundsTablePage} of ${pageCount} (${roundCount} rounds)</span>
+    <button onclick="setRoundsTablePage(${roundsTablePage + 1})" ${
+    roundsTablePage === pageCount ? 'disabled' : ''
+  }>Next ›</button>`;
+}
+
+function setRoundsTablePage(page) {
+  roundsTablePage = Math.max(1, page);
+  updateRoundsTable();
+}
+
+// Rounds shown in the table (and exported), in the table's sort order
+function getFilteredRounds() {
+  const typeSelect = document.getElementById('roundsFilterType');
+  const searchInput = document.getElementById('roundsFilterSearch');
+  const courseType = typeSelect ? typeSelect.value : 'all';
+  const search = normalizeName(searchInput ? searchInput.value : '');
+
+  return getPlayerRounds().filter(
+    (round) =>
+      (courseType === 'all' || round.courseType === courseType) &&
+      (!search ||
+        normalizeName(`${round.course} ${round.tees}`).includes(search))
+  );
+}
+
+// Maps each included 9-hole round to the pair it was combined into
+function getNineHolePairs() {
+  const pairs = {};
+  let pairNumber = 0;
+
+  buildScoringRecords(getPlayerRounds().filter(countsTowardHandicap))
+    .filter((record) => record.roundIds.length === 2)
+    .forEach((record) => {
+      pairNumber++;
+      const [firstId, secondId] = record.roundIds;
+      pairs[firstId] = { number: pairNumber, partnerId: secondId };
+      pairs[secondId] = { number: pairNumber, partnerId: firstId };
+    });
+
+  return pairs;
+}
+
+function formatDifferentialCell(round, handicapResult) {
+  const countingIds = handicapResult ? handicapResult.countingRoundIds : [];
+  const esrByRoundId = handicapResult ? handicapResult.esrByRoundId : {};
+  const exceptional = handicapResult
+    ? handicapResult.exceptionalByRoundId[round.id]
+    : null;
+  const esrReduction = esrByRoundId[round.id] || 0;
+
+  const classes = [];
+  if (countingIds.includes(round.id)) classes.push('counting-diff');
+  if (esrReduction) classes.push('esr-adjusted');
+
+  const notes = [formatPCCTitle(round)];
+  if (exceptional) {
+    notes.push(
+      `Exceptional score: ${exceptional.belowIndex.toFixed(
+        1
+      )} below the ${exceptional.priorIndex.toFixed(1)} index, so the ${
+        CONFIG.HANDICAP_RULES.MAX_SCORES
+      } most recent differentials were reduced by ${exceptional.reduction}`
+    );
+  }
+  if (esrReduction) {
+    notes.push(
+      `Counts as ${(round.differential - esrReduction).toFixed(
+        1
+      )} after exceptional score reduction of -${esrReduction}`
+    );
+  }
+
+  const differential = round.differential
+    ? parseFloat(round.differential).toFixed(1)
+    : '';
+  const esrBadge = exceptional
+    ? ` <sup class="esr-badge">ESR -${exceptional.reduction}</sup>`
+    : '';
+
+  return `<td class="${classes.join(' ')}" title="${notes
+    .filter(Boolean)
+    .join('&#10;')}">${differential}${formatPCCBadge(round)}${esrBadge}</td>`;
+}
+
+function formatSyncBadge(syncState) {
+  if (syncState === 'conflict') {
+    return ' <span class="sync-badge failed" title="Changed on another device - merge it above the form">⇄</span>';
+  }
+  if (syncState === 'failed') {
+    return ' <span class="sync-badge failed" title="The sheet refused this change - use Sync Now to retry">⚠</span>';
+  }
+  if (syncState === 'pending') {
+    return ' <span class="sync-badge" title="Pending sync - saved on this device only">⏳</span>';
+  }
+  return '';
+}
+
+function formatPCCBadge(round) {
+  if (!round.pcc) return '';
+  return ` <sup class="pcc-badge">${round.pcc > 0 ? '+' : ''}${
+    round.pcc
+  }</sup>`;
+}
+
+function formatPCCTitle(round) {
+  if (!round.pccSource) return '';
+  const sign = round.pcc > 0 ? '+' : '';
+  const source = round.pccSource === 'auto' ? 'calculated' : 'entered by hand';
+  return `PCC ${sign}${round.pcc || 0} (${source})`;
+}
+
+function formatHolesCell(round, nineHolePairs) {
+  if (round.holes !== 9) return round.holes || '';
+
+  if (!countsTowardHandicap(round)) return '9';
+
+  const pair = nineHolePairs[round.id];
+  if (!pair) {
+    return `9 <span class="nine-hole-pair pending" title="Waiting for another 9-hole round to combine with">·&nbsp;—</span>`;
+  }
+
+  const partner = rounds.find((r) => r.id === pair.partnerId);
+  const partnerText = partner
+    ? `${partner.course} on ${formatDateForDisplay(partner.date)}`
+    : 'another 9-hole round';
+  return `9 <span class="nine-hole-pair" title="Combined with ${partnerText}">·&nbsp;P${pair.number}</span>`;
+}
+
+// Rough 18-hole equivalent for the score stats only - the handicap itself
+// uses the combined 9-hole differentials
+function getEighteenHoleScore(round) {
+  return round.holes === 9 ? round.adjScore * 2 : round.adjScore;
+}
+
 // ========================================
 // TABLE SORTING
 // ========================================
@@ -523,6 +6190,14 @@ function sortTable(column) {
         valueA = a.differential || 0;
         valueB = b.differential || 0;
         break;
+      case 'format':
+        valueA = getScoringFormatDisplay(a.scoringFormat).toLowerCase();
+        valueB = getScoringFormatDisplay(b.scoringFormat).toLowerCase();
+        break;
+      case 'points':
+        valueA = a.points ?? -Infinity;
+        valueB = b.points ?? -Infinity;
+        break;
       case 'includeInHandicap':
         valueA = a.includeInHandicap ? 1 : 0;
         valueB = b.includeInHandicap ? 1 : 0;
@@ -562,7 +6237,9 @@ function updateSortIndicators() {
     par: 6,
     adjScore: 7,
     differential: 8,
-    includeInHandicap: 9,
+    format: 9,
+    points: 10,
+    includeInHandicap: 11,
   };
 
   const headerIndex = columnMap[currentSort.column];
@@ -583,11 +6260,21 @@ function updateHandicapDisplay() {
 
   if (overallHandicapResult) {
     handicapDisplay.textContent = overallHandicapResult.handicap.toFixed(1);
-    roundsUsed.textContent = `${overallHandicapResult.roundsUsed} of ${overallHandicapResult.totalHandicapRounds} eligible`;
+    roundsUsed.textContent = `best ${overallHandicapResult.roundsUsed} of ${overallHandicapResult.totalHandicapRounds} most recent`;
   } else {
     handicapDisplay.textContent = '--';
     roundsUsed.textContent = '0';
   }
+  updateCapInfo(
+    cachedElements.handicapCapInfo ||
+      document.getElementById('handicapCapInfo'),
+    overallHandicapResult
+  );
+  updateEsrInfo(
+    cachedElements.handicapEsrInfo ||
+      document.getElementById('handicapEsrInfo'),
+    overallHandicapResult
+  );
 
   const regulationHandicapResult = calculateHandicap(true);
   const regulationHandicapDisplay =
@@ -600,16 +6287,79 @@ function updateHandicapDisplay() {
   if (regulationHandicapResult) {
     regulationHandicapDisplay.textContent =
       regulationHandicapResult.handicap.toFixed(1);
-    regulationRoundsUsed.textContent = `${regulationHandicapResult.roundsUsed} of ${regulationHandicapResult.totalHandicapRounds} eligible`;
+    regulationRoundsUsed.textContent = `best ${regulationHandicapResult.roundsUsed} of ${regulationHandicapResult.totalHandicapRounds} most recent`;
   } else {
     regulationHandicapDisplay.textContent = '--';
     regulationRoundsUsed.textContent = '0';
   }
+  updateCapInfo(
+    cachedElements.regulationCapInfo ||
+      document.getElementById('regulationCapInfo'),
+    regulationHandicapResult
+  );
+  updateEsrInfo(
+    cachedElements.regulationEsrInfo ||
+      document.getElementById('regulationEsrInfo'),
+    regulationHandicapResult
+  );
+}
+
+function updateEsrInfo(element, handicapResult) {
+  const exceptionalScores = handicapResult
+    ? Object.values(handicapResult.exceptionalByRoundId)
+    : [];
+  // 9-hole pairs list the same exceptional score under both rounds
+  const uniqueScores = [...new Set(exceptionalScores)];
+
+  // The exceptional score is the newest one it reduced, so the reduction is
+  // gone once that score has left the 20 most recent
+  const activeScores = uniqueScores.filter((score) =>
+    score.roundIds.some((id) =>
+      handicapResult.scoringRecordRoundIds.includes(id)
+    )
+  );
+
+  if (activeScores.length === 0) {
+    element.textContent = '';
+    return;
+  }
+
+  element.textContent = activeScores
+    .map(
+      (score) =>
+        `Exceptional score on ${formatDateForDisplay(
+          score.date
+        )} (${score.belowIndex.toFixed(1)} below index): -${
+          score.reduction
+        } applied to the ${CONFIG.HANDICAP_RULES.MAX_SCORES} most recent scores`
+    )
+    .join(' · ');
+}
+
+function updateCapInfo(element, handicapResult) {
+  if (!handicapResult || handicapResult.lowIndex === null) {
+    element.textContent = 'Low index: -- (needs 20 scores)';
+    return;
+  }
+
+  const capText = {
+    soft: `soft cap applied (uncapped ${handicapResult.uncappedHandicap.toFixed(
+      1
+    )})`,
+    hard: `hard cap applied (uncapped ${handicapResult.uncappedHandicap.toFixed(
+      1
+    )})`,
+  };
+  element.textContent = `Low index (365 days): ${handicapResult.lowIndex.toFixed(
+    1
+  )} · ${capText[handicapResult.capApplied] || 'no cap applied'}`;
 }
 
 function updateStats() {
   updateAllCoursesStats();
   updateRegulationStats();
+  updatePointsStats();
+  updateHoleStats();
 }
 
 function updateAllCoursesStats() {
@@ -622,17 +6372,19 @@ function updateAllCoursesStats() {
   const recentTrend =
     cachedElements.recentTrend || document.getElementById('recentTrend');
 
-  const includedRounds = rounds.filter((round) => round.includeInHandicap);
+  const includedRounds = getPlayerRounds().filter(countsTowardHandicap);
   totalRounds.textContent = includedRounds.length;
 
   if (includedRounds.length > 0) {
     const avgScoreValue =
-      includedRounds.reduce((sum, round) => sum + round.adjScore, 0) /
-      includedRounds.length;
+      includedRounds.reduce(
+        (sum, round) => sum + getEighteenHoleScore(round),
+        0
+      ) / includedRounds.length;
     avgScore.textContent = avgScoreValue.toFixed(1);
 
     const bestScoreValue = Math.min(
-      ...includedRounds.map((round) => round.adjScore)
+      ...includedRounds.map((round) => getEighteenHoleScore(round))
     );
     bestScore.textContent = bestScoreValue;
 
@@ -640,9 +6392,11 @@ function updateAllCoursesStats() {
       const recent5 = includedRounds.slice(0, 5);
       const previous5 = includedRounds.slice(5, 10);
       const recentAvg =
-        recent5.reduce((sum, round) => sum + round.adjScore, 0) / 5;
+        recent5.reduce((sum, round) => sum + getEighteenHoleScore(round), 0) /
+        5;
       const previousAvg =
-        previous5.reduce((sum, round) => sum + round.adjScore, 0) / 5;
+        previous5.reduce((sum, round) => sum + getEighteenHoleScore(round), 0) /
+        5;
       const trend = recentAvg - previousAvg;
       recentTrend.textContent =
         trend > 0 ? `+${trend.toFixed(1)}` : trend.toFixed(1);
@@ -670,20 +6424,22 @@ function updateRegulationStats() {
     cachedElements.regulationRecentTrend ||
     document.getElementById('regulationRecentTrend');
 
-  const regulationRounds = rounds.filter(
-    (round) => round.includeInHandicap && round.courseType === 'regulation'
+  const regulationRounds = getPlayerRounds().filter(
+    (round) => countsTowardHandicap(round) && round.courseType === 'regulation'
   );
 
   regulationTotalRounds.textContent = regulationRounds.length;
 
   if (regulationRounds.length > 0) {
     const avgScoreValue =
-      regulationRounds.reduce((sum, round) => sum + round.adjScore, 0) /
-      regulationRounds.length;
+      regulationRounds.reduce(
+        (sum, round) => sum + getEighteenHoleScore(round),
+        0
+      ) / regulationRounds.length;
     regulationAvgScore.textContent = avgScoreValue.toFixed(1);
 
     const bestScoreValue = Math.min(
-      ...regulationRounds.map((round) => round.adjScore)
+      ...regulationRounds.map((round) => getEighteenHoleScore(round))
     );
     regulationBestScore.textContent = bestScoreValue;
 
@@ -691,9 +6447,11 @@ function updateRegulationStats() {
       const recent5 = regulationRounds.slice(0, 5);
       const previous5 = regulationRounds.slice(5, 10);
       const recentAvg =
-        recent5.reduce((sum, round) => sum + round.adjScore, 0) / 5;
+        recent5.reduce((sum, round) => sum + getEighteenHoleScore(round), 0) /
+        5;
       const previousAvg =
-        previous5.reduce((sum, round) => sum + round.adjScore, 0) / 5;
+        previous5.reduce((sum, round) => sum + getEighteenHoleScore(round), 0) /
+        5;
       const trend = recentAvg - previousAvg;
       regulationRecentTrend.textContent =
         trend > 0 ? `+${trend.toFixed(1)}` : trend.toFixed(1);
@@ -711,6 +6469,22 @@ function updateRegulationStats() {
 // UTILITY FUNCTIONS
 // ========================================
 
+// For text from outside the app (e.g. an imported file) that ends up in
+// innerHTML
+function escapeHtml(value) {
+  return String(value ?? '').replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+      }[char])
+  );
+}
+
 function clearForm() {
   (cachedElements.courseInput || document.getElementById('course')).value = '';
   (cachedElements.teesInput || document.getElementById('tees')).value = ''; // NEW: Clear tees field
@@ -726,46 +6500,217 @@ function clearForm() {
     cachedElements.includeHandicapSelect ||
     document.getElementById('includeInHandicap')
   ).value = 'true';
+  (
+    cachedElements.roundTeeSetSelect || document.getElementById('roundTeeSet')
+  ).value = '';
+  (cachedElements.pccSelect || document.getElementById('pcc')).value = 'auto';
+  (
+    cachedElements.scoringFormatSelect ||
+    document.getElementById('scoringFormat')
+  ).value = 'strokePlay';
+  renderScorecard();
 }
 
 async function toggleHandicapInclusion(roundId) {
   try {
     const round = rounds.find((r) => r.id === roundId);
     if (!round) return;
+    if (isQuarantined(round)) {
+      throw new Error('Fix this round before changing it');
+    }
 
     round.includeInHandicap = !round.includeInHandicap;
     updateDisplay();
 
-    await retryOperation(() => updateRoundInSheet(round));
+    await commitRoundChange('update', round);
   } catch (error) {
-    const round = rounds.find((r) => r.id === roundId);
-    if (round) {
-      round.includeInHandicap = !round.includeInHandicap;
-      updateDisplay();
-    }
     showError(error, 'Updating round');
   }
 }
 
 async function updateRoundInSheet(round) {
-  const response = await fetch(`${SHEETDB_API_URL}/id/${round.id}`, {
+  const response = await fetch(`${getSheetDbUrl()}/id/${round.id}`, {
     method: 'PATCH',
-    headers: {
+    headers: getRequestHeaders({
       Accept: 'application/json',
       'Content-Type': 'application/json',
-    },
+    }),
     body: JSON.stringify({
-      data: round,
+      data: serializeRoundForSheet(round),
     }),
   });
 
   if (!response.ok) {
-    throw new Error('Failed to update round in sheet');
+    throw responseError('Failed to update round in sheet', response);
   }
 
   return response.json();
 }
 
+// Points competitions: 18-hole rounds only, as 9-hole points don't compare
+function updatePointsStats() {
+  const pointsRounds =
+    cachedElements.pointsRounds || document.getElementById('pointsRounds');
+  const avgStablefordPoints =
+    cachedElements.avgStablefordPoints ||
+    document.getElementById('avgStablefordPoints');
+  const bestStablefordPoints =
+    cachedElements.bestStablefordPoints ||
+    document.getElementById('bestStablefordPoints');
+  const bestModifiedStablefordPoints =
+    cachedElements.bestModifiedStablefordPoints ||
+    document.getElementById('bestModifiedStablefordPoints');
+  const bestParBogeyResult =
+    cachedElements.bestParBogeyResult ||
+    document.getElementById('bestParBogeyResult');
+
+  const scoredRounds = getPlayerRounds().filter(
+    (round) =>
+      !isQuarantined(round) &&
+      isPointsFormat(round.scoringFormat) &&
+      round.points !== null &&
+      round.holes === 18
+  );
+  const byFormat = (scoringFormat) =>
+    scoredRounds.filter((round) => round.scoringFormat === scoringFormat);
+  const bestOf = (roundList) =>
+    roundList.reduce(
+      (best, round) => (!best || round.points > best.points ? round : best),
+      null
+    );
+
+  pointsRounds.textContent = scoredRounds.length;
+
+  const stablefordRounds = byFormat('stableford');
+  avgStablefordPoints.textContent =
+    stablefordRounds.length > 0
+      ? (
+          stablefordRounds.reduce((sum, round) => sum + round.points, 0) /
+          stablefordRounds.length
+        ).toFixed(1)
+      : '--';
+
+  [
+    [bestStablefordPoints, 'stableford'],
+    [bestModifiedStablefordPoints, 'modifiedStableford'],
+    [bestParBogeyResult, 'parBogey'],
+  ].forEach(([element, scoringFormat]) => {
+    const best = bestOf(byFormat(scoringFormat));
+    element.textContent = best ? formatRoundPoints(best) : '--';
+  });
+}
+
+// Green in regulation as recorded, or worked out from the putts when only
+// those were entered. null when neither is known.
+function getHoleGir(hole) {
+  if (typeof hole.gir === 'boolean') return hole.gir;
+  if (hole.putts === undefined) return null;
+  return hole.strokes - hole.putts <= hole.par - 2;
+}
+
+// Per-hole performance from the scorecards. Each figure only uses the holes
+// where that detail was recorded, so partly filled cards still count.
+function calculateHoleStats(roundList) {
+  const holes = roundList.flatMap((round) => round.scorecard || []);
+  const total = (holeList, field) =>
+    holeList.reduce((sum, hole) => sum + hole[field], 0);
+  const percent = (made, attempts) =>
+    attempts.length > 0 ? (made.length / attempts.length) * 100 : null;
+  // Counts per 18 holes, so 9-hole rounds weigh half
+  const perRound = (holeList, field) =>
+    holeList.length > 0
+      ? (total(holeList, field) / holeList.length) * 18
+      : null;
+
+  const fairwayHoles = holes.filter(
+    (hole) => hole.par >= 4 && hole.fairwayHit !== undefined
+  );
+  const greenHoles = holes.filter((hole) => getHoleGir(hole) !== null);
+  const missedGreens = greenHoles.filter((hole) => !getHoleGir(hole));
+  const puttHoles = holes.filter((hole) => hole.putts !== undefined);
+  const girPuttHoles = puttHoles.filter((hole) => getHoleGir(hole));
+  // Penalties are usually only noted where there was one, so every hole of
+  // a card with any penalty entered counts (blank = none)
+  const penaltyHoles = roundList
+    .filter(
+      (round) =>
+        round.scorecard &&
+        round.scorecard.some((hole) => hole.penalties !== undefined)
+    )
+    .flatMap((round) =>
+      round.scorecard.map((hole) => ({ penalties: 0, ...hole }))
+    );
+  const sandHoles = holes.filter((hole) => hole.sandSave !== undefined);
+  const toPar = (hole) => hole.strokes - hole.par;
+
+  return {
+    holes: holes.length,
+    fairwayPercent: percent(
+      fairwayHoles.filter((hole) => hole.fairwayHit),
+      fairwayHoles
+    ),
+    girPercent: percent(greenHoles.filter(getHoleGir), greenHoles),
+    puttsPerRound: perRound(puttHoles, 'putts'),
+    puttsPerGir:
+      girPuttHoles.length > 0
+        ? total(girPuttHoles, 'putts') / girPuttHoles.length
+        : null,
+    penaltiesPerRound: perRound(penaltyHoles, 'penalties'),
+    // Par or better after missing the green
+    scramblingPercent: percent(
+      missedGreens.filter((hole) => toPar(hole) <= 0),
+      missedGreens
+    ),
+    sandSavePercent: percent(
+      sandHoles.filter((hole) => hole.sandSave),
+      sandHoles
+    ),
+    distribution: {
+      eagles: holes.filter((hole) => toPar(hole) <= -2).length,
+      birdies: holes.filter((hole) => toPar(hole) === -1).length,
+      pars: holes.filter((hole) => toPar(hole) === 0).length,
+      bogeys: holes.filter((hole) => toPar(hole) === 1).length,
+      doubles: holes.filter((hole) => toPar(hole) >= 2).length,
+    },
+  };
+}
+
+// Hole stats for the course type picked above the panel
+function updateHoleStats() {
+  const typeSelect = document.getElementById('holeStatsCourseType');
+  const courseType = typeSelect ? typeSelect.value : 'all';
+
+  const stats = calculateHoleStats(
+    getPlayerRounds().filter(
+      (round) =>
+        !isQuarantined(round) &&
+        round.scorecard &&
+        (courseType === 'all' || round.courseType === courseType)
+    )
+  );
+  const show = (id, value, digits, suffix = '') => {
+    document.getElementById(id).textContent =
+      value === null ? '--' : `${value.toFixed(digits)}${suffix}`;
+  };
+
+  document.getElementById('holeStatsHoles').textContent = stats.holes;
+  show('fairwayPercent', stats.fairwayPercent, 0, '%');
+  show('girPercent', stats.girPercent, 0, '%');
+  show('puttsPerRound', stats.puttsPerRound, 1);
+  show('puttsPerGir', stats.puttsPerGir, 2);
+  show('penaltiesPerRound', stats.penaltiesPerRound, 1);
+  show('scramblingPercent', stats.scramblingPercent, 0, '%');
+  show('sandSavePercent', stats.sandSavePercent, 0, '%');
+
+  Object.entries(stats.distribution).forEach(([bucket, count]) => {
+    const share =
+      stats.holes > 0 ? ` (${Math.round((count / stats.holes) * 100)}%)` : '';
+    document.getElementById(
+      `holeStats${bucket[0].toUpperCase()}${bucket.slice(1)}`
+    ).textContent = `${count}${share}`;
+  });
+}
+
 function getCourseTypeDisplay(courseType) {
   const types = {
     regulation: 'Regulation',
@@ -808,5 +6753,33 @@ function getCourseTypeDisplay(courseType) {
    K: rating
    L: slope
    M: differential
+   N: courseHandicap  ← NEW (hole-by-hole rounds)
+   O: scorecard       ← NEW (JSON list of par/strokeIndex/strokes/adjusted)
+   P: pcc             ← NEW (-1 to +3, already included in differential)
+   Q: pccSource       ← NEW ("auto" or "manual")
+   R: teeSetId        ← NEW (links the round to the course library)
+   S: revision        ← NEW (bumped on every save, used to spot conflicts)
+   T: updatedAt       ← NEW (when that revision was saved)
+   U: schemaVersion   ← NEW (round format, see ROUND_MIGRATIONS)
+   V: playerId        ← NEW (whose round it is; blank = the default player)
+   W: scoringFormat   ← NEW (strokePlay, stableford, modifiedStableford, parBogey)
+   X: playingHandicap ← NEW (points formats - handicap strokes given)
+   Y: points          ← NEW (Stableford points, or par/bogey holes up/down)
+   Z: shots           ← NEW (JSON, per hole: distance/lie of every shot)
+   Scorecard holes may also carry fairwayHit, gir, putts, penalties and
+   sandSave (only the ones recorded) - no new columns needed
+
+   ✅ COURSE LIBRARY SHEET:
+   Add a second tab named "courses" with columns:
+   id, course, tees, courseType, holes, par, rating, slope, yardage,
+   holeLayout (JSON list of par/strokeIndex, filled from the first scorecard)
+
+   ✅ PLAYERS SHEET:
+   Add a third tab named "players" with columns: id, name
+
+   ✅ OTHER STORAGE BACKENDS (Storage Settings):
+   - This browser only: nothing to set up, data stays in localStorage
+   - Custom REST endpoint: {url}/rounds, {url}/courses and {url}/players accepting
+     GET, POST, PUT /{id} and DELETE /{id} with the same fields as above
    
    ======================================== */